@@ -14,6 +14,32 @@ class Backend {
         this._attributes = {}
     }
 
+    /**
+     * Starts the backend, ie: its timers and listeners (to be overwritten by a subclass).
+     */
+    start() {}
+
+    /**
+     * Stops the backend timers and listeners, without dropping pending events (to be overwritten
+     * by a subclass).
+     */
+    stop() {}
+
+    /**
+     * Sends pending events right away (to be overwritten by a subclass).
+     * @returns {Promise<Boolean>} Resolved once done. True if all events were delivered.
+     */
+    flush() {
+        return Promise.resolve(true)
+    }
+
+    /**
+     * Stops the backend and releases its resources. The backend can't be used afterwards.
+     */
+    dispose() {
+        this.stop()
+    }
+
     /**
      * Sends given event (to be overwritten by a subclass).
      * @param {String} event Event to send.
@@ -0,0 +1,914 @@
+import Backend from './backend'
+import Log from './log'
+import Limits from './limits'
+import Stats from './stats'
+import IndexedDBEventStore from './plugins/indexeddbeventstore'
+import LocalStorageEventStore from './plugins/localstorageeventstore'
+import MemoryEventStore from './plugins/memoryeventstore'
+
+/**
+ * BatchBackend class provides the logic shared by backends that post events to a collector in
+ * batches: buffering, harvest timer, persistence, retries and delivery on page exit.
+ * This class is intended to be subclassed, not directly used. Subclasses must implement
+ * {@link BatchBackend#getCollectorUrl}, and can customize how events are created with
+ * {@link BatchBackend#createEvent}, how batches are encoded with {@link BatchBackend#serialize},
+ * and the request with {@link BatchBackend#getMethod} and {@link BatchBackend#getHeaders}.
+ *
+ * @extends Backend
+ */
+class BatchBackend extends Backend {
+    /**
+     * Constructor, receives the backend options.
+     *
+     * @param {Object} [options] Backend options.
+     * @param {Object} [options.headers] Extra headers added to every request.
+     * @param {number} [options.maxBatchSize] Max number of events sent in a single request. Default 100.
+     * @param {number} [options.maxBatchBytes] Max size in bytes of a single request body. Default
+     * 1000000.
+     * @param {Boolean} [options.gzip] Compress request bodies with gzip, if the browser supports
+     * CompressionStream. Default false.
+     * @param {EventStore} [options.store] Store used to persist buffered events, so they are sent
+     * on the next page load or when the browser goes back online. By default IndexedDB is used,
+     * then localStorage, and then memory.
+     * @param {number} [options.storeLeaseTime] Time, in ms, after which the stored events of a
+     * backend that stopped saving them (ie: its tab crashed) are claimed by another backend. The
+     * events of unloaded pages and disposed backends are claimed right away. Default 180000.
+     * @param {number} [options.maxEventAge] Max age, in ms, of a stored event. Older events are
+     * discarded. Default 86400000 (24h).
+     * @param {number} [options.maxBeaconBytes] Max size in bytes of the events sent when the page is
+     * hidden or unloaded, using keepalive requests or beacons. Default 65536.
+     * @param {number} [options.retryBaseDelay] Delay, in ms, before the first retry of a failed
+     * request. It doubles with every consecutive failure. Default 2000.
+     * @param {number} [options.retryMaxDelay] Max delay, in ms, between retries, also applied to
+     * Retry-After. Default 300000.
+     * @param {number} [options.maxBufferSize] Max number of buffered events. Default 500.
+     * @param {String} [options.overflowPolicy] What to discard when the buffer is full, one of
+     * {@link BatchBackend.OverflowPolicies}. Default 'priority'.
+     * @param {String} [storeKey] Key of the default store, so backends don't share stored events.
+     * Default 'events'.
+     */
+    constructor(options = {}, storeKey = 'events') {
+        super()
+
+        /**
+         * Extra request headers.
+         * @private
+         */
+        this._headers = options.headers || {}
+
+        /**
+         * Buffer to store events.
+         * @private
+         */
+        this._eventBuffer = []
+
+        /**
+         * Max number of buffered events.
+         * @private
+         */
+        this._maxBufferSize = options.maxBufferSize || 500
+
+        /**
+         * Buffer overflow policy.
+         * @private
+         */
+        this._overflowPolicy = options.overflowPolicy || BatchBackend.OverflowPolicies.PRIORITY
+        if (!OVERFLOW_POLICIES.includes(this._overflowPolicy)) {
+            Log.warn('Unknown overflow policy ' + this._overflowPolicy + ', using priority.')
+            this._overflowPolicy = BatchBackend.OverflowPolicies.PRIORITY
+        }
+
+        /**
+         * Number of events discarded because the buffer was full.
+         * @private
+         */
+        this._droppedEvents = 0
+
+        /**
+         * Dropped events count already reported to the collector.
+         * @private
+         */
+        this._reportedDroppedEvents = 0
+
+        /**
+         * Harvest timer lock.
+         * @private
+         */
+        this._harvestLocked = false
+
+        /**
+         * Last timestamp.
+         * @private
+         */
+        this._lastTimestamp = 0
+
+        /**
+         * Max number of events per request.
+         * @private
+         */
+        this._maxBatchSize = options.maxBatchSize || 100
+
+        /**
+         * Max request body size, in bytes.
+         * @private
+         */
+        this._maxBatchBytes = options.maxBatchBytes || 1000000
+
+        /**
+         * Compress request bodies.
+         * @private
+         */
+        this._gzip = !!options.gzip && typeof CompressionStream !== 'undefined'
+
+        /**
+         * Max age of buffered events, in ms.
+         * @private
+         */
+        this._maxEventAge = options.maxEventAge || 86400000
+
+        /**
+         * Persistent event store.
+         * @private
+         */
+        this._store = options.store || createDefaultStore(storeKey)
+
+        /**
+         * Lease time of the stored events, in ms.
+         * @private
+         */
+        this._storeLeaseTime = options.storeLeaseTime || 180000
+
+        /**
+         * Lease timer, that renews the lease of the stored events and claims orphaned ones.
+         * @private
+         */
+        this._leaseInterval = null
+
+        /**
+         * Persist timer, set while a store update is pending.
+         * @private
+         */
+        this._persistTimeout = null
+
+        /**
+         * Events of the request in progress. They are kept in the store until delivered.
+         * @private
+         */
+        this._pendingEvents = []
+
+        /**
+         * Promise of the last store operation. Operations are chained, so they run in order, after
+         * the stored events have been restored into the buffer.
+         * @private
+         */
+        this._storeQueue = this.restoreEvents()
+
+        /**
+         * Max size of the events sent on page exit, in bytes.
+         * @private
+         */
+        this._maxBeaconBytes = options.maxBeaconBytes || 65536
+
+        /**
+         * Callbacks of the flush calls waiting for the current harvest to finish.
+         * @private
+         */
+        this._flushCallbacks = []
+
+        /**
+         * Base delay of the exponential backoff, in ms.
+         * @private
+         */
+        this._retryBaseDelay = options.retryBaseDelay || 2000
+
+        /**
+         * Max delay of the exponential backoff, in ms.
+         * @private
+         */
+        this._retryMaxDelay = options.retryMaxDelay || 300000
+
+        /**
+         * Number of consecutive failed requests.
+         * @private
+         */
+        this._retryAttempts = 0
+
+        /**
+         * Backoff timer, set while waiting to retry a failed request.
+         * @private
+         */
+        this._backoffTimeout = null
+
+        /**
+         * Harvest timer.
+         * @private
+         */
+        this._harvestInterval = null
+
+        /**
+         * True while the backend is started.
+         * @private
+         */
+        this._started = false
+
+        /**
+         * True once the backend has been disposed.
+         * @private
+         */
+        this._disposed = false
+
+        // Send pending events as soon as the browser is back online
+        this._onlineHandler = () => { this.harvestHandler(BatchBackend.Source.ONLINE) }
+
+        // Send pending events before the page is hidden or unloaded, and let other pages claim the
+        // rest. If the page is restored from the back/forward cache, they are owned again.
+        this._pageHideHandler = () => {
+            this.flushOnExit()
+            this.releaseEvents()
+        }
+        this._pageShowHandler = (event) => {
+            if (event && event.persisted) this.saveEvents()
+        }
+        this._visibilityHandler = () => {
+            if (document.visibilityState === 'hidden') this.flushOnExit()
+        }
+
+        this.start()
+    }
+
+    /**
+     * Starts the harvest timer and the page listeners. Called by the constructor.
+     */
+    start() {
+        if (this._started || this._disposed) return
+        this._started = true
+
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('online', this._onlineHandler)
+            window.addEventListener('pagehide', this._pageHideHandler)
+            window.addEventListener('pageshow', this._pageShowHandler)
+        }
+        if (typeof document !== 'undefined' && document.addEventListener) {
+            document.addEventListener('visibilitychange', this._visibilityHandler)
+        }
+
+        this.startHarvestTimer()
+        if (!this._leaseInterval) {
+            // Kept while stopped, as stopped backends still own their stored events
+            this._leaseInterval = setInterval(() => { this.renewLease() }, this._storeLeaseTime / 3)
+        }
+    }
+
+    /**
+     * Stops the harvest timer and the page listeners. Buffered events are kept, and stored, until
+     * {@link start} or {@link flush} are called.
+     */
+    stop() {
+        if (!this._started) return
+        this._started = false
+
+        if (typeof window !== 'undefined' && window.removeEventListener) {
+            window.removeEventListener('online', this._onlineHandler)
+            window.removeEventListener('pagehide', this._pageHideHandler)
+            window.removeEventListener('pageshow', this._pageShowHandler)
+        }
+        if (typeof document !== 'undefined' && document.removeEventListener) {
+            document.removeEventListener('visibilitychange', this._visibilityHandler)
+        }
+
+        this.stopHarvestTimer()
+        clearTimeout(this._backoffTimeout)
+        this._backoffTimeout = null
+        this.saveEvents()
+    }
+
+    /**
+     * Stops the backend and drops its buffer. Events not delivered yet stay in the store, to be sent
+     * by the next backend or page load. Call {@link flush} before to send them right away.
+     */
+    dispose() {
+        this.stop()
+        this.releaseEvents()
+        clearInterval(this._leaseInterval)
+        this._leaseInterval = null
+        this._disposed = true
+        this._eventBuffer = []
+        this.harvestFinished()
+    }
+
+    send(event, data) {
+        super.send(event, data)
+        if (!this.makeRoomFor(event)) return
+
+        this._eventBuffer.push(this.createEvent(event, data))
+        this.persistEvents()
+    }
+
+    /**
+     * Creates the buffered event from given event name and attributes (to be extended by a
+     * subclass). The event is a flat object with the attributes, plus actionName and a unique
+     * timestamp.
+     *
+     * @param {String} event Event name.
+     * @param {Object} data Event attributes.
+     * @returns {Object} Event to buffer.
+     */
+    createEvent(event, data) {
+        data['actionName'] = event
+        // Mechanism to avoid having two events with the same timestamp
+        let timestamp = Date.now()
+        if (timestamp > this._lastTimestamp) {
+            data['timestamp'] = timestamp
+            this._lastTimestamp = timestamp
+        }
+        else {
+            this._lastTimestamp ++
+            data['timestamp'] = this._lastTimestamp
+        }
+        return data
+    }
+
+    /**
+     * Makes room in the buffer for a new event, applying the overflow policy if it is full.
+     * - drop-newest: the new event is discarded.
+     * - drop-oldest: the oldest buffered event is discarded.
+     * - priority: the oldest buffered event with the lowest priority is discarded, unless the new
+     *   event has an even lower priority. Heartbeats go first, errors and lifecycle events last.
+     *
+     * @private
+     * @param {String} event Name of the new event.
+     * @returns {Boolean} True if the new event can be buffered.
+     */
+    makeRoomFor(event) {
+        if (this._eventBuffer.length < this._maxBufferSize) return true
+
+        let index = -1
+        if (this._overflowPolicy == BatchBackend.OverflowPolicies.DROP_OLDEST) {
+            index = 0
+        } else if (this._overflowPolicy == BatchBackend.OverflowPolicies.PRIORITY) {
+            let lowest = getEventPriority(event)
+            this._eventBuffer.forEach((ev, i) => {
+                let priority = getEventPriority(ev.actionName)
+                if (priority < lowest || (priority == lowest && index == -1)) {
+                    lowest = priority
+                    index = i
+                }
+            })
+        }
+
+        const dropped = index == -1 ? event : this._eventBuffer[index].actionName
+        this._droppedEvents ++
+        Stats.increment('eventsDropped.overflow', Stats.countEvents([dropped]))
+        if (this._droppedEvents == 1) Log.warn('Event buffer is full, discarding events.')
+        if (index == -1) return false
+        this._eventBuffer.splice(index, 1)
+        return true
+    }
+
+    /**
+     * Returns the number of events discarded so far because the buffer was full. The count is also
+     * sent, as the droppedEvents attribute, in the first event of the next batch.
+     * @returns {number} Dropped events.
+     */
+    getDroppedEvents() {
+        return this._droppedEvents
+    }
+
+    harvestHandler(source) {
+        if (source != BatchBackend.Source.FETCH && this._harvestLocked) {
+            Log.debug("Harvest still locked, abort")
+            return
+        }
+
+        if (source != BatchBackend.Source.RETRY && this.isBackingOff()) {
+            Log.debug("Backing off after a failed request, abort")
+            this.harvestFinished()
+            return
+        }
+
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            Log.debug("Browser is offline, keep events stored")
+            this.harvestFinished()
+            return
+        }
+
+        this._harvestLocked = true
+        this.dropExpiredEvents()
+
+        if (this._eventBuffer.length > 0) {
+            let batch = this.takeBatch()
+            Log.debug("Push events = ", batch)
+            this.pushEvents(batch)
+        }
+        else {
+            this.harvestFinished()
+        }
+    }
+
+    /**
+     * Unlocks the harvest and resolves the pending flush calls.
+     * @private
+     */
+    harvestFinished() {
+        this._harvestLocked = false
+        let callbacks = this._flushCallbacks
+        this._flushCallbacks = []
+        callbacks.forEach(callback => callback(this._eventBuffer.length == 0))
+    }
+
+    /**
+     * Sends all buffered events right away, without waiting for the harvest timer.
+     *
+     * @example
+     * backend.flush().then(delivered => console.log('All events sent:', delivered))
+     *
+     * @returns {Promise<Boolean>} Resolved once the harvest finishes. True if the buffer was emptied.
+     */
+    flush() {
+        return new Promise((resolve) => {
+            this._flushCallbacks.push(resolve)
+            this.harvestHandler(BatchBackend.Source.FLUSH)
+        })
+    }
+
+    /**
+     * Sends buffered events with requests that outlive the page, using fetch keepalive or
+     * navigator.sendBeacon. Called when the page is hidden or unloaded. Only the oldest events
+     * fitting in the beacon size limit are sent, the rest are kept in the store to be sent on the
+     * next page load.
+     */
+    flushOnExit() {
+        this.dropExpiredEvents()
+        if (this.isBackingOff()) {
+            // Keep events stored, they will be sent on the next page load
+            this.saveEvents()
+            return
+        }
+        let events = this.takeBatch(this._maxBeaconBytes, Infinity)
+        if (events.length > 0) {
+            Log.debug("Push events on exit = ", events)
+            const body = this.serialize(events)
+            if (supportsKeepalive()) {
+                const url = this.getCollectorUrl()
+                const request = headers => fetch(url, { method: this.getMethod(), headers: headers, body: body, keepalive: true })
+                // Send right away unless headers are async, the page may be unloading
+                const headers = this.getHeaders()
+                const sent = headers && typeof headers.then === 'function' ? headers.then(request) : request(headers)
+                sent
+                    .then((response) => {
+                        if (response.ok) {
+                            Stats.increment('eventsSent', countEvents(events))
+                            return
+                        }
+                        Stats.increment('httpFailures.' + response.status)
+                        if (isRetryableStatus(response.status)) {
+                            this._eventBuffer.unshift(...events)
+                            this.persistEvents()
+                        } else {
+                            this.discardEvents(events, response.status)
+                        }
+                    })
+                    .catch((error) => {
+                        Log.error('Error:', error, events)
+                        Stats.increment('httpFailures.network')
+                        this._eventBuffer.unshift(...events)
+                        this.persistEvents()
+                    })
+            } else if (typeof navigator !== 'undefined' && navigator.sendBeacon) {
+                if (navigator.sendBeacon(this.getBeaconUrl(), body)) {
+                    Stats.increment('eventsSent', countEvents(events))
+                } else {
+                    this._eventBuffer.unshift(...events)
+                }
+            } else {
+                this._eventBuffer.unshift(...events)
+            }
+        }
+        this.saveEvents()
+    }
+
+    /**
+     * Removes from the buffer the oldest events that fit in a single request, according to the
+     * max batch size and bytes. At least one event is always taken. The first event carries the
+     * running dropped events count, if events were dropped since the last batch.
+     *
+     * @param {number} [maxBytes] Max size of the batch in bytes. Default, the max batch bytes.
+     * @param {number} [maxSize] Max number of events. Default, the max batch size.
+     * @returns {Array} Events, in the same order they were buffered.
+     */
+    takeBatch(maxBytes = this._maxBatchBytes, maxSize = this._maxBatchSize) {
+        let count = Limits.getBatchLength(this._eventBuffer, maxBytes, maxSize)
+        if (count < this._eventBuffer.length && count < maxSize) {
+            Log.warn('Batch exceeds ' + maxBytes + ' bytes, splitting it.')
+        }
+        let batch = this._eventBuffer.splice(0, count)
+        if (batch.length > 0 && this._droppedEvents > this._reportedDroppedEvents) {
+            batch[0]['droppedEvents'] = this._droppedEvents
+            this._reportedDroppedEvents = this._droppedEvents
+        }
+        return batch
+    }
+
+    /**
+     * Posts given events to the collector.
+     * @private
+     * @param {Array} events Events to send.
+     */
+    pushEvents(events) {
+        const url = this.getCollectorUrl()
+        const body = this.serialize(events)
+        this._pendingEvents = events
+        Promise.all([this._gzip ? gzip(body) : body, this.getHeaders()])
+            .then(([body, headers]) => {
+                if (this._gzip) headers['Content-Encoding'] = 'gzip'
+                return fetch(url, { method: this.getMethod(), headers: headers, body: body })
+            })
+            .then((response) => {
+                if (response.ok) {
+                    this._retryAttempts = 0
+                    Stats.increment('eventsSent', countEvents(events))
+                    return response.json()
+                        .catch(() => null)
+                        .then(data => this.requestResponse(data))
+                }
+                Stats.increment('httpFailures.' + response.status)
+                if (isRetryableStatus(response.status)) {
+                    Log.warn('Request failed with status ' + response.status + ', retrying')
+                    this.retryLater(events, parseRetryAfter(response.headers))
+                } else {
+                    this.discardEvents(events, response.status)
+                    this._pendingEvents = []
+                    this.persistEvents()
+                    // Send next events
+                    this.harvestHandler(BatchBackend.Source.FETCH)
+                }
+            }, (error) => {
+                Log.error('Error:', error, events);
+                Stats.increment('httpFailures.network')
+                this.retryLater(events)
+            });
+    }
+
+    /**
+     * Puts back given events, keeping their order, and waits before sending them again. The delay
+     * grows exponentially with every consecutive failure, with random jitter, unless the collector
+     * sets it with a Retry-After header, capped by retryMaxDelay. The harvest timer is paused
+     * meanwhile.
+     *
+     * @param {Array} events Events of the failed request.
+     * @param {number} [retryAfter] Delay requested by the collector, in ms.
+     */
+    retryLater(events, retryAfter) {
+        this._eventBuffer.unshift(...events)
+        this._pendingEvents = []
+        this.persistEvents()
+
+        this._retryAttempts ++
+        let delay
+        if (typeof retryAfter === 'number') {
+            delay = Math.min(retryAfter, this._retryMaxDelay)
+        } else {
+            delay = Math.min(this._retryMaxDelay, this._retryBaseDelay * Math.pow(2, this._retryAttempts - 1))
+            delay = Math.round(delay / 2 + Math.random() * delay / 2)
+        }
+        Log.debug("Retry in " + delay + " ms")
+
+        this.stopHarvestTimer()
+        if (!this._started) {
+            this.harvestFinished()
+            return
+        }
+        this._backoffTimeout = setTimeout(() => {
+            this._backoffTimeout = null
+            this.startHarvestTimer()
+            this.harvestHandler(BatchBackend.Source.RETRY)
+        }, delay)
+        this.harvestFinished()
+    }
+
+    /**
+     * Returns true while waiting to retry a failed request.
+     * @returns {Boolean} True if backing off.
+     */
+    isBackingOff() {
+        return this._backoffTimeout !== null
+    }
+
+    /**
+     * Drops events rejected by the collector. They won't be sent again.
+     *
+     * @param {Array} events Rejected events.
+     * @param {number} status HTTP status of the response.
+     */
+    discardEvents(events, status) {
+        Stats.increment('eventsDropped.rejected', countEvents(events))
+        Log.error('Collector rejected ' + events.length + ' events with status ' + status + ', discarding them', events)
+    }
+
+    /**
+     * Starts the harvest timer, that sends buffered events every 10 seconds.
+     * @private
+     */
+    startHarvestTimer() {
+        if (!this._harvestInterval) {
+            this._harvestInterval = setInterval(() => { this.harvestHandler(BatchBackend.Source.TIMER) }, 10000)
+        }
+    }
+
+    /**
+     * Stops the harvest timer.
+     * @private
+     */
+    stopHarvestTimer() {
+        if (this._harvestInterval) {
+            clearInterval(this._harvestInterval)
+            this._harvestInterval = null
+        }
+    }
+
+    /**
+     * Returns the URL of the collector (to be overwritten by a subclass).
+     * @returns {String} Collector URL.
+     */
+    getCollectorUrl() {
+        return ''
+    }
+
+    /**
+     * Returns the URL used to send beacons on page exit. Beacons can't carry headers, so
+     * subclasses may add credentials to it. By default, the collector URL.
+     * @returns {String} Beacon URL.
+     */
+    getBeaconUrl() {
+        return this.getCollectorUrl()
+    }
+
+    /**
+     * Returns the HTTP method of the requests. Beacons sent on page exit always use POST.
+     * @returns {String} HTTP method. Default 'POST'.
+     */
+    getMethod() {
+        return 'POST'
+    }
+
+    /**
+     * Returns the headers of the requests, including the extra headers. Subclasses may return a
+     * Promise, ie: to refresh credentials.
+     * @returns {(Object|Promise<Object>)} Request headers.
+     */
+    getHeaders() {
+        return Object.assign({ 'Content-Type': 'application/json' }, this._headers)
+    }
+
+    /**
+     * Encodes given events as a request body. By default, a JSON array.
+     * @param {Array} events Events to send.
+     * @returns {String} Request body.
+     */
+    serialize(events) {
+        return JSON.stringify(events)
+    }
+
+    /**
+     * Loads the stored events of this backend, if the store has any, and the orphaned events of
+     * previous pages and backends, and puts them in front of the buffer.
+     * @returns {Promise} Resolved once the events are restored.
+     */
+    restoreEvents() {
+        return Promise.all([this._store.load(), this._store.claim(this._storeLeaseTime)])
+            .then(([events, claimed]) => {
+                this.addRestoredEvents(events.concat(claimed))
+                // Own the claimed events right away, the records they come from are gone
+                if (claimed.length > 0) this.saveEvents()
+            })
+            .catch(error => Log.warn('Could not restore events:', error))
+    }
+
+    /**
+     * Claims the orphaned events of other pages and backends, and puts them in front of the buffer.
+     * @returns {Promise} Resolved once the events are claimed.
+     */
+    claimEvents() {
+        return this.queueStoreOperation(() => {
+            return this._store.claim(this._storeLeaseTime).then((events) => {
+                this.addRestoredEvents(events)
+                // Own them right away, the records they come from are gone
+                if (events.length > 0) this.saveEvents()
+            })
+        })
+    }
+
+    /**
+     * Puts given restored events, but expired ones, in front of the buffer.
+     * @private
+     * @param {Array} events Restored events.
+     */
+    addRestoredEvents(events) {
+        events = events.filter(ev => !this.isExpired(ev))
+        if (events.length > 0 && !this._disposed) {
+            Log.debug("Restored stored events = ", events)
+            this._eventBuffer.unshift(...events)
+        }
+    }
+
+    /**
+     * Renews the lease of the stored events, and claims the orphaned ones. Called periodically
+     * until the backend is disposed.
+     * @private
+     */
+    renewLease() {
+        if (this._pendingEvents.length > 0 || this._eventBuffer.length > 0) this.saveEvents()
+        this.claimEvents()
+    }
+
+    /**
+     * Releases the stored events, so other backends and pages can claim them right away.
+     * @returns {Promise} Resolved once the events are released.
+     */
+    releaseEvents() {
+        return this.queueStoreOperation(() => this._store.release())
+    }
+
+    /**
+     * Runs given store operation after the pending ones.
+     * @private
+     * @param {function} operation Returns a Promise.
+     * @returns {Promise} Resolved once the operation finishes.
+     */
+    queueStoreOperation(operation) {
+        this._storeQueue = this._storeQueue
+            .then(operation)
+            .catch(error => Log.warn('Event store operation failed:', error))
+        return this._storeQueue
+    }
+
+    /**
+     * Schedules an update of the persistent store with the current buffer content. Updates are
+     * coalesced, so the store is written at most once per second.
+     */
+    persistEvents() {
+        if (this._persistTimeout || this._disposed) return
+        this._persistTimeout = setTimeout(() => this.saveEvents(), 1000)
+    }
+
+    /**
+     * Updates the persistent store with the current buffer content right away.
+     */
+    saveEvents() {
+        clearTimeout(this._persistTimeout)
+        this._persistTimeout = null
+        if (this._disposed) return
+        const events = this._pendingEvents.concat(this._eventBuffer)
+        this.queueStoreOperation(() => this._store.save(events))
+    }
+
+    /**
+     * Removes from the buffer the events older than the max event age.
+     */
+    dropExpiredEvents() {
+        const expired = this._eventBuffer.filter(ev => this.isExpired(ev))
+        if (expired.length > 0) {
+            this._eventBuffer = this._eventBuffer.filter(ev => !this.isExpired(ev))
+            Stats.increment('eventsDropped.expired', countEvents(expired))
+            Log.warn('Discarded ' + expired.length + ' expired events')
+        }
+    }
+
+    /**
+     * Returns true if given event is older than the max event age.
+     * @param {Object} ev Event.
+     * @returns {Boolean} True if expired.
+     */
+    isExpired(ev) {
+        return !ev.timestamp || Date.now() - ev.timestamp > this._maxEventAge
+    }
+
+    /**
+     * Called when a request succeeds, sends the next events.
+     * @private
+     * @param {Object} data Response body, if any.
+     */
+    requestResponse(data) {
+        this._pendingEvents = []
+        this.persistEvents()
+        // Send next event
+        this.harvestHandler(BatchBackend.Source.FETCH)
+    }
+}
+
+/**
+ * Returns the best event store available in the current environment.
+ * @private
+ * @param {String} key Key of the stored events.
+ * @returns {EventStore} Event store.
+ */
+function createDefaultStore (key) {
+    if (IndexedDBEventStore.isAvailable()) return new IndexedDBEventStore('nrvideo', key)
+    if (LocalStorageEventStore.isAvailable()) return new LocalStorageEventStore('nrvideo-' + key)
+    return new MemoryEventStore()
+}
+
+/**
+ * Returns how many of given buffered events the supportability counters account for.
+ * @private
+ * @param {Object[]} events Buffered events.
+ * @returns {number} Number of counted events.
+ */
+function countEvents (events) {
+    return Stats.countEvents(events.map(ev => ev.actionName))
+}
+
+/**
+ * Returns the priority of given event when the buffer overflows.
+ * @private
+ * @param {String} event Event name.
+ * @returns {number} 0 for heartbeats, 2 for errors and lifecycle events, 1 for the rest.
+ */
+function getEventPriority (event) {
+    if (/HEARTBEAT$/.test(event)) return 0
+    if (/ERROR$/.test(event) || LIFECYCLE_EVENTS.includes(event)) return 2
+    return 1
+}
+
+const LIFECYCLE_EVENTS = [
+    'PLAYER_READY', 'CONTENT_REQUEST', 'CONTENT_START', 'CONTENT_END', 'CONTENT_SUMMARY',
+    'CONTENT_EXIT_BEFORE_START', 'AD_REQUEST', 'AD_START', 'AD_END', 'AD_EXIT_BEFORE_START',
+    'AD_BREAK_START', 'AD_BREAK_END'
+]
+
+/**
+ * Returns true if fetch supports the keepalive option.
+ * @private
+ * @returns {Boolean} True if supported.
+ */
+function supportsKeepalive () {
+    return typeof fetch !== 'undefined' && typeof Request !== 'undefined' &&
+        'keepalive' in Request.prototype
+}
+
+/**
+ * Returns true if a request that failed with given HTTP status should be retried.
+ * @private
+ * @param {number} status HTTP status.
+ * @returns {Boolean} True for 429 and 5xx statuses.
+ */
+function isRetryableStatus (status) {
+    return status == 429 || status >= 500
+}
+
+/**
+ * Reads the Retry-After header of a response, either in seconds or as an HTTP date.
+ * @private
+ * @param {Headers} [headers] Response headers.
+ * @returns {(number|undefined)} Delay in ms, or undefined if not set.
+ */
+function parseRetryAfter (headers) {
+    const value = headers && headers.get && headers.get('Retry-After')
+    if (!value) return undefined
+    if (/^\d+$/.test(value)) return parseInt(value) * 1000
+    const date = Date.parse(value)
+    return isNaN(date) ? undefined : Math.max(0, date - Date.now())
+}
+
+/**
+ * Compresses given string using gzip.
+ * @private
+ * @param {String} str String to compress.
+ * @returns {Promise<ArrayBuffer>} Compressed data.
+ */
+function gzip (str) {
+    const stream = new Blob([str]).stream().pipeThrough(new CompressionStream('gzip'))
+    return new Response(stream).arrayBuffer()
+}
+
+/**
+ * Enum for buffer overflow policies.
+ * @enum {String}
+ * @static
+ */
+BatchBackend.OverflowPolicies = {
+    /** New events are discarded. */
+    DROP_NEWEST: 'drop-newest',
+    /** Oldest events are discarded. */
+    DROP_OLDEST: 'drop-oldest',
+    /** Heartbeats are discarded first, errors and lifecycle events last. */
+    PRIORITY: 'priority'
+}
+
+const OVERFLOW_POLICIES = Object.keys(BatchBackend.OverflowPolicies)
+    .map(key => BatchBackend.OverflowPolicies[key])
+
+/**
+ * Enum for the triggers of a harvest.
+ * @enum {String}
+ * @static
+ */
+BatchBackend.Source = {
+    TIMER: "TIMER",
+    FETCH: "FETCH",
+    ONLINE: "ONLINE",
+    FLUSH: "FLUSH",
+    RETRY: "RETRY"
+}
+
+export default BatchBackend
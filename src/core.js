@@ -1,5 +1,9 @@
 import Log from './log'
 import Backend from './backend'
+import Redactor from './redactor'
+import Sampler from './sampler'
+import Stats from './stats'
+import BrowserAgentBackend from './plugins/browseragentbackend'
 
 /**
  * Static class that sums up core functionalities of the library.
@@ -15,6 +19,7 @@ class Core {
     if (tracker.on && tracker.emit) {
       trackers.push(tracker)
       tracker.on('*', eventHandler)
+      startStatsTimer()
       if (typeof tracker.trackerInit == 'function') { 
         tracker.trackerInit(); 
       }
@@ -24,15 +29,17 @@ class Core {
   }
 
   /**
-   * Disposes and remove given tracker. Removes its listeners.
+   * Disposes and remove given tracker. Removes its listeners after disposing it, so the events
+   * sent on dispose, like CONTENT_SUMMARY, are still delivered.
    *
    * @param {Tracker} tracker Tracker to remove.
    */
   static removeTracker (tracker) {
-    tracker.off('*', eventHandler)
     tracker.dispose()
+    tracker.off('*', eventHandler)
     let index = trackers.indexOf(tracker)
     if (index !== -1) trackers.splice(index, 1)
+    if (trackers.length === 0) stopStatsTimer()
   }
 
   /**
@@ -45,7 +52,44 @@ class Core {
   }
 
   /**
-   * Returns the current backend.
+   * Adds a middleware to the event pipeline. Middlewares run in registration order for every
+   * event, before it is sent to the backend. A middleware receives (eventName, data, tracker),
+   * where tracker is null for events sent with {@link Core.send}, {@link Core.sendError} and the
+   * library's own NRVIDEO_SUPPORTABILITY events, and can:
+   * - Mutate data.
+   * - Return false to drop the event.
+   * - Return an object { eventName, data } to replace the event name and/or its data.
+   *
+   * If a middleware throws, the error is logged and the event goes on to the next one.
+   *
+   * @example
+   * nrvideo.Core.use((eventName, data) => {
+   *   data.appVersion = '1.2.3'
+   *   if (eventName === 'CONTENT_HEARTBEAT' && data.isBackgroundEvent) return false
+   * })
+   *
+   * @param {function} middleware Middleware function.
+   */
+  static use (middleware) {
+    if (typeof middleware === 'function') {
+      middlewares.push(middleware)
+    } else {
+      Log.error('Tried to use a non-function middleware.', middleware)
+    }
+  }
+
+  /**
+   * Removes a middleware added with {@link Core.use}.
+   *
+   * @param {function} middleware Middleware function.
+   */
+  static removeMiddleware (middleware) {
+    let index = middlewares.indexOf(middleware)
+    if (index !== -1) middlewares.splice(index, 1)
+  }
+
+  /**
+   * Returns the current backend. If none was set, events go to a {@link BrowserAgentBackend}.
    *
    * @returns {Backend} The current backend.
    */
@@ -54,37 +98,141 @@ class Core {
   }
 
   /**
-   * Sets the current backend.
+   * Sets the current backend. The previous backend, if any, is stopped, flushed and disposed. So
+   * is the default {@link BrowserAgentBackend}, if it was used: events still waiting for the agent
+   * are discarded.
    * @param {Backend} backendInstance Backend instance.
+   * @returns {Promise} Resolved once the previous backend is disposed.
    */
   static setBackend(backendInstance) {
-      backend = backendInstance
+    let previous = backend
+    backend = backendInstance
+    if (defaultBackend && backendInstance instanceof Backend) {
+      defaultBackend.flush()
+      defaultBackend.dispose()
+      defaultBackend = null
+    }
+    if (previous instanceof Backend && previous !== backendInstance) {
+      previous.stop()
+      return Promise.resolve()
+        .then(() => previous.flush())
+        .catch(err => Log.error('Could not flush previous backend:', err))
+        .then(() => previous.dispose())
+    }
+    return Promise.resolve()
+  }
+
+  /**
+   * Sets the user consent state for telemetry. By default consent is granted.
+   * - While pending, events are held in a buffer, capped in size and age.
+   * - When granted, held events are sent, in order, and new events are sent right away.
+   * - When denied, held events are discarded and new events are not sent.
+   *
+   * @example
+   * nrvideo.Core.setConsent(nrvideo.Core.Consent.PENDING)
+   * // Later, when the CMP reports the user choice
+   * nrvideo.Core.setConsent(nrvideo.Core.Consent.GRANTED, { tcString: tcData.tcString })
+   *
+   * @param {Core.Consent} state Consent state.
+   * @param {Object} [options] Consent options.
+   * @param {String} [options.tcString] IAB TCF v2 consent string, sent as the tcString attribute
+   * of every event.
+   * @param {number} [options.maxEvents] Max number of events held while pending. Oldest events
+   * are discarded first. Default 500.
+   * @param {number} [options.maxAge] Max time, in ms, an event is held while pending. Default
+   * 1800000 (30 min).
+   */
+  static setConsent (state, options) {
+    options = options || {}
+    if (typeof options.tcString === 'string') consent.tcString = options.tcString
+    if (options.maxEvents) consent.maxEvents = options.maxEvents
+    if (options.maxAge) consent.maxAge = options.maxAge
+
+    if (state !== Core.Consent.GRANTED && state !== Core.Consent.DENIED && state !== Core.Consent.PENDING) {
+      Log.error('Unknown consent state.', state)
+      return
+    }
+    consent.state = state
+
+    if (state === Core.Consent.GRANTED) {
+      let held = dropExpiredConsentEvents(consent.buffer)
+      consent.buffer = []
+      held.forEach(item => deliver(item.event, item.data))
+    } else if (state === Core.Consent.DENIED) {
+      Stats.increment('eventsDropped.consent', consent.buffer.length)
+      consent.buffer = []
+    }
+  }
+
+  /**
+   * Returns the current consent state.
+   *
+   * @returns {Core.Consent} Consent state.
+   */
+  static getConsent () {
+    return consent.state
+  }
+
+  /**
+   * Sets sampling rates, to send only a share of the views. Sampling is deterministic on the
+   * viewSession attribute: either every event of a view (of a given type) is sent or none is.
+   * Sent events carry a sampleRate attribute, so counts can be re-weighted in queries. Events
+   * without viewSession are always sent.
+   *
+   * @example
+   * // Send half the views, and heartbeats for 10% of them
+   * nrvideo.Core.setSampling({ rate: 0.5, rates: { CONTENT_HEARTBEAT: 0.1 } })
+   *
+   * @param {Object} [options] Sampling options. Pass nothing to disable sampling.
+   * @param {number} [options.rate] Rate applied to every event, from 0 (none) to 1 (all).
+   * Default 1.
+   * @param {Object} [options.rates] Rates by event name, overriding the global rate.
+   */
+  static setSampling (options) {
+    sampler = options ? new Sampler(options) : null
   }
 
   /**
-   * Sends given event using the appropriate backend.
+   * Returns the supportability counters of the library: events emitted, sent and dropped by
+   * reason, HTTP failures by status and listener exceptions. See {@link Stats}.
+   *
+   * @example
+   * nrvideo.Core.getStats() // { eventsEmitted: 12, eventsSent: 10, 'eventsDropped.sampling': 2 }
+   *
+   * @returns {Object} Counters, by name.
+   */
+  static getStats () {
+    return Stats.get()
+  }
+
+  /**
+   * Sets how often the supportability counters are sent, as a NRVIDEO_SUPPORTABILITY event with
+   * the counters as attributes. The event is sent along with tracker events and, while there are
+   * trackers, by a timer, so the last counters are reported even if trackers go idle. The timer
+   * only sends them if they changed. Nothing is sent unless the user consent is granted.
+   *
+   * @param {number} interval Min time between events, in ms. 0 disables them. Default 60000.
+   */
+  static setStatsInterval (interval) {
+    stats.interval = interval
+    stopStatsTimer()
+    if (trackers.length > 0) startStatsTimer()
+  }
+
+  /**
+   * Sends given event using the appropriate backend, if the middlewares, sampling and the user
+   * consent allow it. Attributes are redacted first, see {@link Redactor}.
    * @param {String} event Event to send.
    * @param {Object} data Data associated to the event.
    */
   static send(event, data) {
-    if (Core.getBackend() == undefined || !(Core.getBackend() instanceof Backend)) {
-        // Use the default backend (NR Agent)
-        if (typeof newrelic !== 'undefined' && newrelic.addPageAction) {
-            newrelic.addPageAction(event, data)
-        } else {
-            if (!isErrorShown) {
-                Log.error(
-                    'newrelic.addPageAction() is not available.',
-                    'In order to use NewRelic Video you will need New Relic Browser Agent.'
-                )
-                isErrorShown = true
-            }
-        }
-    }
-    else {
-        // Use the user-defined backend
-        Core.getBackend().send(event, data)
+    Stats.increment('eventsEmitted')
+    let ev = runMiddlewares(event, Object.assign({}, data), null)
+    if (!ev) {
+      Stats.increment('eventsDropped.middleware')
+      return
     }
+    send(ev.eventName, ev.data)
   }
 
   /**
@@ -99,9 +247,141 @@ class Core {
   }
 }
 
+/**
+ * Enum for user consent states.
+ * @enum {String}
+ * @static
+ */
+Core.Consent = {
+  /** Events are sent. */
+  GRANTED: 'granted',
+  /** Events are discarded. */
+  DENIED: 'denied',
+  /** Events are held until consent is granted or denied. */
+  PENDING: 'pending'
+}
+
 let trackers = []
+let middlewares = []
 let backend;
-let isErrorShown = false
+let sampler = null
+let defaultBackend = null
+let hashQueue = Promise.resolve()
+let pendingHashes = 0
+let consent = {
+  state: Core.Consent.GRANTED,
+  tcString: null,
+  buffer: [],
+  maxEvents: 500,
+  maxAge: 1800000
+}
+let stats = {
+  interval: 60000,
+  lastTime: 0,
+  lastSent: null,
+  timer: null
+}
+
+/**
+ * Sends given event, already through the middlewares, if sampling and the user consent allow it.
+ *
+ * @private
+ * @param {String} event Event to send.
+ * @param {Object} data Data associated to the event.
+ */
+function send (event, data) {
+  if (sampler) {
+    data = sampler.sample(event, data)
+    if (!data) {
+      Stats.increment('eventsDropped.sampling')
+      return
+    }
+  }
+
+  if (consent.state === Core.Consent.GRANTED) {
+    deliver(event, data)
+  } else if (consent.state === Core.Consent.PENDING) {
+    holdUntilConsent(event, data)
+  } else {
+    Stats.increment('eventsDropped.consent')
+  }
+}
+
+/**
+ * Redacts given event and dispatches it, keeping the order of events while attributes are being
+ * hashed.
+ *
+ * @private
+ * @param {String} event Event to send.
+ * @param {Object} data Data associated to the event.
+ */
+function deliver (event, data) {
+  data = Redactor.redact(Object.assign({}, data))
+  if (consent.tcString) data.tcString = consent.tcString
+
+  if (Redactor.isHashing() || pendingHashes > 0) {
+    // Hashing is async, queue events so they keep their order
+    let hashed = Redactor.hash(data)
+    pendingHashes++
+    hashQueue = hashQueue
+      .then(() => hashed)
+      .then(data => dispatch(event, data))
+      .catch(err => Log.error('Could not send ' + event + ':', err))
+      .then(() => { pendingHashes-- })
+  } else {
+    dispatch(event, data)
+  }
+}
+
+/**
+ * Holds given event until consent is granted or denied.
+ *
+ * @private
+ * @param {String} event Event to hold.
+ * @param {Object} data Data associated to the event.
+ */
+function holdUntilConsent (event, data) {
+  let buffer = dropExpiredConsentEvents(consent.buffer)
+  buffer.push({ event: event, data: Object.assign({}, data), time: Date.now() })
+  if (buffer.length > consent.maxEvents) {
+    Log.warn('Consent buffer is full, discarding oldest events.')
+    Stats.increment('eventsDropped.consent', buffer.length - consent.maxEvents)
+    buffer.splice(0, buffer.length - consent.maxEvents)
+  }
+  consent.buffer = buffer
+}
+
+/**
+ * Returns the held events not older than the max age.
+ *
+ * @private
+ * @param {Object[]} buffer Held events.
+ * @returns {Object[]} Fresh events.
+ */
+function dropExpiredConsentEvents (buffer) {
+  let now = Date.now()
+  let fresh = buffer.filter(item => now - item.time <= consent.maxAge)
+  Stats.increment('eventsDropped.consent', buffer.length - fresh.length)
+  return fresh
+}
+
+/**
+ * Delivers given event to the current backend, or to the Browser Agent if there's none.
+ *
+ * @private
+ * @param {String} event Event to send.
+ * @param {Object} data Data associated to the event.
+ */
+function dispatch (event, data) {
+  if (backend == undefined || !(backend instanceof Backend)) {
+    // Use the default backend (NR Agent), that waits for the agent to load
+    if (!defaultBackend) defaultBackend = new BrowserAgentBackend()
+    defaultBackend.send(event, data)
+  } else {
+    // Use the user-defined backend
+    backend.send(event, data)
+  }
+}
 
 /**
  * Logs and sends given event.
@@ -110,13 +390,97 @@ let isErrorShown = false
  * @param {Event} e Event
  */
 function eventHandler (e) {
-  let data = cleanData(e.data)
+  Stats.increment('eventsEmitted')
+  let ev = runMiddlewares(e.type, cleanData(e.data), e.target)
+  if (!ev) {
+    Stats.increment('eventsDropped.middleware')
+    return
+  }
+
+  let data = cleanData(ev.data)
   if (Log.level <= Log.Levels.DEBUG) {
-    Log.notice('Sent', e.type, data)
+    Log.notice('Sent', ev.eventName, data)
   } else {
-    Log.notice('Sent', e.type)
+    Log.notice('Sent', ev.eventName)
+  }
+  send(ev.eventName, data)
+  sendStats()
+}
+
+/**
+ * Sends the supportability counters, if the stats interval has passed since they were last sent.
+ *
+ * @private
+ */
+function sendStats () {
+  let now = Date.now()
+  if (!stats.lastTime) stats.lastTime = now
+  if (stats.interval > 0 && now - stats.lastTime >= stats.interval) reportStats()
+}
+
+/**
+ * Sends the supportability counters as a NRVIDEO_SUPPORTABILITY event, unless they didn't change
+ * since they were last sent or the user consent is not granted. The event goes through the
+ * middlewares, but is neither counted nor sampled.
+ *
+ * @private
+ */
+function reportStats () {
+  let counters = Stats.get()
+  let json = JSON.stringify(counters)
+  stats.lastTime = Date.now()
+  if (json === stats.lastSent || consent.state !== Core.Consent.GRANTED) return
+
+  stats.lastSent = json
+  let ev = runMiddlewares(Stats.EVENT_NAME, counters, null)
+  if (ev) deliver(ev.eventName, ev.data)
+}
+
+/**
+ * Starts reporting the counters every stats interval, so they are sent while trackers are idle.
+ *
+ * @private
+ */
+function startStatsTimer () {
+  if (stats.timer || !(stats.interval > 0)) return
+  stats.timer = setInterval(reportStats, stats.interval)
+}
+
+/**
+ * Stops reporting the counters periodically.
+ *
+ * @private
+ */
+function stopStatsTimer () {
+  clearInterval(stats.timer)
+  stats.timer = null
+}
+
+/**
+ * Runs the middlewares over given event, in registration order.
+ *
+ * @private
+ * @param {String} eventName Event name.
+ * @param {Object} data Data associated to the event.
+ * @param {Tracker} tracker Tracker that fired the event, or null if sent with Core.send.
+ * @returns {(Object|null)} Resulting { eventName, data }, or null if the event was dropped.
+ */
+function runMiddlewares (eventName, data, tracker) {
+  for (let i = 0; i < middlewares.length; i++) {
+    try {
+      let result = middlewares[i](eventName, data, tracker)
+      if (result === false) {
+        Log.debug('Event dropped by middleware', eventName)
+        return null
+      } else if (result && typeof result === 'object') {
+        if (typeof result.eventName === 'string') eventName = result.eventName
+        if (result.data && typeof result.data === 'object') data = result.data
+      }
+    } catch (err) {
+      Log.error('Middleware failed, skipping it:', err)
+    }
   }
-  Core.send(e.type, data)
+  return { eventName: eventName, data: data }
 }
 
 /**
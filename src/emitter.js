@@ -1,3 +1,6 @@
+import Log from './log'
+import Stats from './stats'
+
 /**
  * This base class implements a basic behavior of listeners and events. Extend this object to have
  * this feature built-in inside your classes.
@@ -42,7 +45,8 @@ class Emitter {
   }
 
   /**
-   * Emits given event, triggering all the associated callbacks.
+   * Emits given event, triggering all the associated callbacks. If a callback throws, the error
+   * is logged and the rest of callbacks are still called.
    *
    * @param {string} event Name of the event.
    * @param {object} [data] Custom data to be sent to the callbacks.
@@ -54,13 +58,13 @@ class Emitter {
 
     if (Array.isArray(this._listeners[event])) {
       this._listeners[event].forEach((callback) => {
-        callback.call(this, { type: event, data: data, target: this })
+        callListener(this, callback, event, data)
       })
     }
 
     if (Array.isArray(this._listeners['*'])) {
       this._listeners['*'].forEach((callback) => {
-        callback.call(this, { type: event, data: data, target: this })
+        callListener(this, callback, event, data)
       })
     }
 
@@ -68,4 +72,22 @@ class Emitter {
   }
 }
 
+/**
+ * Calls given listener, isolating its errors.
+ *
+ * @private
+ * @param {Emitter} emitter Emitter of the event.
+ * @param {function} callback Listener.
+ * @param {string} event Name of the event.
+ * @param {object} data Custom data of the event.
+ */
+function callListener (emitter, callback, event, data) {
+  try {
+    callback.call(emitter, { type: event, data: data, target: emitter })
+  } catch (err) {
+    Stats.increment('listenerExceptions')
+    Log.error('Listener of ' + event + ' failed:', err)
+  }
+}
+
 export default Emitter
@@ -0,0 +1,21 @@
+/**
+ * Static class that matches event names against lists of event names and RegExps, as used by the
+ * filters of {@link CompositeBackend} and the routing rules of {@link NRInsightsBackend}.
+ *
+ * @class
+ * @static
+ */
+class EventMatcher {
+  /**
+   * Returns true if the event name matches any item of the list.
+   *
+   * @param {Array} list Event names or RegExps.
+   * @param {String} event Event name.
+   * @returns {Boolean} True if it matches.
+   */
+  static matches (list, event) {
+    return list.some(item => item instanceof RegExp ? item.test(event) : item === event)
+  }
+}
+
+export default EventMatcher
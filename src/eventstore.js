@@ -0,0 +1,109 @@
+/**
+ * EventStore class provides the basic interface to persist the events buffered by a backend, so
+ * they survive page reloads, navigations and offline periods.
+ * This class is intended to be subclassed, not directly used.
+ *
+ * Stores shared by several backends, ie: in different tabs, keep a record per owner, so backends
+ * don't overwrite each other's events. A record is owned while its owner keeps saving it, and
+ * becomes orphaned once released (when the page is unloaded or the backend disposed) or when its
+ * lease expires (ie: the tab crashed). Orphaned records are then claimed by another backend.
+ *
+ * @class EventStore
+ */
+class EventStore {
+    constructor() {
+        /**
+         * Unique identifier of the owner of the records saved by this store.
+         * @type {String}
+         */
+        this.owner = Date.now().toString(36) + '-' + Math.random().toString(36).substring(2)
+    }
+
+    /**
+     * Loads the stored events of this owner (to be overwritten by a subclass).
+     * @returns {Promise<Array>} Stored events, oldest first.
+     */
+    load() {
+        return Promise.resolve([])
+    }
+
+    /**
+     * Replaces the stored events of this owner with given ones, renewing its lease (to be
+     * overwritten by a subclass).
+     * @param {Array} events Events to store, oldest first.
+     * @returns {Promise} Resolved once the events are stored.
+     */
+    save(events) {
+        return Promise.resolve()
+    }
+
+    /**
+     * Takes the events of the orphaned records of other owners, and removes those records (to be
+     * overwritten by a subclass). Stores without owners have no orphaned records.
+     * @param {number} leaseTime Time in ms after which a record that is not saved is orphaned.
+     * @returns {Promise<Array>} Claimed events, oldest first.
+     */
+    claim(leaseTime) {
+        return Promise.resolve([])
+    }
+
+    /**
+     * Releases the record of this owner, so other owners can claim it right away (to be
+     * overwritten by a subclass).
+     * @returns {Promise} Resolved once the record is released.
+     */
+    release() {
+        return Promise.resolve()
+    }
+
+    /**
+     * Removes all stored events.
+     * @returns {Promise} Resolved once the events are removed.
+     */
+    clear() {
+        return this.save([])
+    }
+
+    /**
+     * Returns true if the store can be used in the current environment.
+     * @returns {Boolean} True if available.
+     */
+    static isAvailable() {
+        return true
+    }
+
+    /**
+     * Returns true if given record is orphaned. Records stored by previous versions, plain event
+     * arrays, are always orphaned.
+     * @param {(Object|Array)} record Stored record, with owner, updated time and events.
+     * @param {String} owner Owner asking.
+     * @param {number} leaseTime Lease time, in ms.
+     * @returns {Boolean} True if orphaned.
+     */
+    static isOrphaned(record, owner, leaseTime) {
+        if (Array.isArray(record)) return true
+        if (!record || record.owner === owner) return false
+        return !record.updated || Date.now() - record.updated > leaseTime
+    }
+
+    /**
+     * Returns the events of given record.
+     * @param {(Object|Array)} record Stored record.
+     * @returns {Array} Events.
+     */
+    static getRecordEvents(record) {
+        if (Array.isArray(record)) return record
+        return record && Array.isArray(record.events) ? record.events : []
+    }
+
+    /**
+     * Sorts given events by timestamp, oldest first.
+     * @param {Array} events Events.
+     * @returns {Array} Sorted events.
+     */
+    static sortEvents(events) {
+        return events.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+    }
+}
+
+export default EventStore
@@ -1,9 +1,24 @@
 import Backend from './backend'
+import BatchBackend from './batchbackend'
 import NRInsightsBackend from './plugins/nrinsightsbackend'
+import BrowserAgentBackend from './plugins/browseragentbackend'
+import OtlpBackend from './plugins/otlpbackend'
+import HttpBackend from './plugins/httpbackend'
+import NRMetricsBackend from './plugins/nrmetricsbackend'
+import CompositeBackend from './plugins/compositebackend'
+import MemoryBackend from './plugins/memorybackend'
+import ConsoleBackend from './plugins/consolebackend'
+import EventStore from './eventstore'
+import MemoryEventStore from './plugins/memoryeventstore'
+import LocalStorageEventStore from './plugins/localstorageeventstore'
+import IndexedDBEventStore from './plugins/indexeddbeventstore'
 import Core from './core'
 import Constants from './constants'
 import Chrono from './chrono'
 import Log from './log'
+import Redactor from './redactor'
+import Limits from './limits'
+import Stats from './stats'
 import Emitter from './emitter'
 import Tracker from './tracker'
 import VideoTracker from './videotracker'
@@ -16,12 +31,27 @@ export {
   Constants,
   Chrono,
   Log,
+  Redactor,
+  Limits,
+  Stats,
   Emitter,
   Tracker,
   VideoTracker,
   VideoTrackerState,
   Core,
   Backend,
+  BatchBackend,
   NRInsightsBackend,
+  BrowserAgentBackend,
+  OtlpBackend,
+  HttpBackend,
+  NRMetricsBackend,
+  CompositeBackend,
+  MemoryBackend,
+  ConsoleBackend,
+  EventStore,
+  MemoryEventStore,
+  LocalStorageEventStore,
+  IndexedDBEventStore,
   version
 }
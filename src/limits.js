@@ -0,0 +1,129 @@
+import Log from './log'
+
+/**
+ * Static class that enforces New Relic payload limits, so events are not silently rejected by the
+ * collectors.
+ *
+ * When an event has more attributes than allowed, attributes are kept in this priority order:
+ * 1. Attributes in {@link Limits.PRIORITY_ATTRIBUTES}, in the order of that list.
+ * 2. The rest, in the order they were added to the event. Tracker attributes come first, then
+ *    the ones added by the backend.
+ *
+ * Attributes with too long names are removed, and too long string values are truncated.
+ *
+ * @class
+ * @static
+ */
+class Limits {
+  /**
+   * Returns a copy of given event attributes that complies with given limits. A warning is logged
+   * if something was trimmed.
+   *
+   * @param {Object} data Event attributes.
+   * @param {Object} [limits] Limits to apply. Default {@link Limits.INSIGHTS}.
+   * @returns {Object} Attributes within limits.
+   */
+  static enforce (data, limits) {
+    limits = limits || Limits.INSIGHTS
+    data = data || {}
+
+    let ret = {}
+    let dropped = []
+    let truncated = []
+    let keys = Limits.PRIORITY_ATTRIBUTES.filter(key => key in data)
+    keys = keys.concat(Object.keys(data).filter(key => keys.indexOf(key) === -1))
+
+    keys.forEach((key) => {
+      if (key.length > limits.maxNameLength || Object.keys(ret).length >= limits.maxAttributes) {
+        dropped.push(key)
+        return
+      }
+      let value = data[key]
+      if (typeof value === 'string' && value.length > limits.maxValueLength) {
+        value = value.substring(0, limits.maxValueLength)
+        truncated.push(key)
+      }
+      ret[key] = value
+    })
+
+    if (dropped.length > 0) Log.warn('Event exceeds attribute limits, removed attributes:', dropped)
+    if (truncated.length > 0) Log.warn('Event exceeds value length limit, truncated attributes:', truncated)
+
+    return ret
+  }
+
+  /**
+   * Returns how many of the first given events fit in a single request, as a JSON array. At least
+   * one event is always counted.
+   *
+   * @param {Object[]} events Events.
+   * @param {number} maxBytes Max size of the request body, in bytes.
+   * @param {number} [maxCount] Max number of events.
+   * @returns {number} Number of events.
+   */
+  static getBatchLength (events, maxBytes, maxCount) {
+    maxCount = maxCount || Infinity
+    let count = 0
+    let bytes = 2 // Array brackets
+    while (count < events.length && count < maxCount) {
+      let size = Limits.byteLength(JSON.stringify(events[count])) + 1
+      if (count > 0 && bytes + size > maxBytes) break
+      bytes += size
+      count++
+    }
+    return count
+  }
+
+  /**
+   * Returns the size in bytes of given string, once UTF-8 encoded.
+   *
+   * @param {String} str String to measure.
+   * @returns {number} Size in bytes.
+   */
+  static byteLength (str) {
+    if (typeof TextEncoder !== 'undefined') return new TextEncoder().encode(str).length
+    return str.length
+  }
+}
+
+/**
+ * Limits of the Insights/Event API.
+ * @static
+ */
+Limits.INSIGHTS = {
+  /** Max attributes per event. */
+  maxAttributes: 255,
+  /** Max length of attribute names. */
+  maxNameLength: 255,
+  /** Max length of string values. */
+  maxValueLength: 4096,
+  /** Max size of a request body, in bytes. */
+  maxPayloadBytes: 1000000
+}
+
+/**
+ * Limits of Browser Agent page actions.
+ * @static
+ */
+Limits.BROWSER_AGENT = {
+  /** Max attributes per event. */
+  maxAttributes: 64,
+  /** Max length of attribute names. */
+  maxNameLength: 255,
+  /** Max length of string values. */
+  maxValueLength: 4096
+}
+
+/**
+ * Attributes never removed in favor of others, in priority order.
+ * @static
+ */
+Limits.PRIORITY_ATTRIBUTES = [
+  'eventType', 'actionName', 'timestamp', 'viewSession', 'viewId', 'isAd',
+  'trackerName', 'trackerVersion', 'coreVersion', 'playerName', 'playerVersion',
+  'contentId', 'contentTitle', 'contentSrc', 'contentIsLive', 'contentDuration', 'contentPlayhead',
+  'adId', 'adTitle', 'adSrc', 'adDuration', 'adPlayhead', 'adPosition', 'adPartner',
+  'bufferType', 'numberOfErrors', 'totalPlaytime', 'playtimeSinceLastEvent', 'sampleRate'
+]
+
+export default Limits
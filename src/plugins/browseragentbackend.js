@@ -0,0 +1,223 @@
+import Backend from '../backend'
+import Log from '../log'
+import Limits from '../limits'
+import Stats from '../stats'
+
+/**
+ * Implements a backend that sends events through the New Relic Browser Agent. For a description of
+ * what is a Backend, see {@link Backend}. This is the backend used by {@link Core} when no other
+ * backend is set.
+ *
+ * If the agent is loaded asynchronously, events sent before it is ready are queued, and replayed
+ * with their original timestamps once it shows up. The queue is bounded in size and time.
+ *
+ * @example
+ * // Send events as custom events instead of page actions
+ * nrvideo.Core.setBackend(new nrvideo.BrowserAgentBackend({ eventType: 'VideoAction' }))
+ *
+ * @extends Backend
+ */
+class BrowserAgentBackend extends Backend {
+    /**
+     * Constructor.
+     *
+     * @param {Object} [options] Backend options.
+     * @param {String} [options.eventType] If set, events are sent with newrelic.recordCustomEvent
+     * using this event type, and the event name as actionName attribute. By default they are sent
+     * with newrelic.addPageAction.
+     * @param {number} [options.maxQueueSize] Max number of events queued while the agent is not
+     * ready. Oldest events are discarded first. Default 500.
+     * @param {number} [options.maxQueueAge] Max time, in ms, an event is queued. Default 60000.
+     * @param {number} [options.pollInterval] Time, in ms, between checks of the agent while events
+     * are queued. Default 500.
+     */
+    constructor(options = {}) {
+        super()
+
+        /**
+         * Custom event type.
+         * @private
+         */
+        this._eventType = options.eventType || null
+
+        /**
+         * Max number of queued events.
+         * @private
+         */
+        this._maxQueueSize = options.maxQueueSize || 500
+
+        /**
+         * Max age of queued events, in ms.
+         * @private
+         */
+        this._maxQueueAge = options.maxQueueAge || 60000
+
+        /**
+         * Agent poll interval, in ms.
+         * @private
+         */
+        this._pollInterval = options.pollInterval || 500
+
+        /**
+         * Events waiting for the agent.
+         * @private
+         */
+        this._queue = []
+
+        /**
+         * Poll timer, set while events are queued.
+         * @private
+         */
+        this._pollTimeout = null
+
+        /**
+         * True while the backend is started.
+         * @private
+         */
+        this._started = true
+
+        /**
+         * True once the missing agent error has been shown.
+         * @private
+         */
+        this._isErrorShown = false
+    }
+
+    /**
+     * Starts checking the agent again, if events are queued.
+     */
+    start() {
+        this._started = true
+        this.schedulePoll()
+    }
+
+    /**
+     * Stops checking the agent. Queued events are kept until {@link start} or {@link flush} are
+     * called.
+     */
+    stop() {
+        this._started = false
+        clearTimeout(this._pollTimeout)
+        this._pollTimeout = null
+    }
+
+    /**
+     * Stops the backend and drops the queued events.
+     */
+    dispose() {
+        this.stop()
+        this._queue = []
+    }
+
+    /**
+     * Sends queued events right away, if the agent is ready.
+     * @returns {Promise<Boolean>} True if the queue was emptied.
+     */
+    flush() {
+        this.replay()
+        return Promise.resolve(this._queue.length == 0)
+    }
+
+    send(event, data) {
+        data = Object.assign({}, data)
+        super.send(event, data)
+
+        if (BrowserAgentBackend.isAgentReady()) {
+            this.replay()
+            this.record(event, data)
+            return
+        }
+
+        this._queue.push({ event: event, data: data, timestamp: Date.now() })
+        if (this._queue.length > this._maxQueueSize) {
+            Log.warn('Browser Agent queue is full, discarding oldest events.')
+            const dropped = this._queue.splice(0, this._queue.length - this._maxQueueSize)
+            Stats.increment('eventsDropped.overflow', Stats.countEvents(dropped.map(item => item.event)))
+        }
+        this.schedulePoll()
+    }
+
+    /**
+     * Returns the number of events waiting for the agent.
+     * @returns {number} Queued events.
+     */
+    getQueueLength() {
+        return this._queue.length
+    }
+
+    /**
+     * Sends the queued events, in order, with their original timestamps, if the agent is ready.
+     * Events older than the max queue age are discarded.
+     * @private
+     */
+    replay() {
+        let now = Date.now()
+        let expired = this._queue.filter(item => now - item.timestamp > this._maxQueueAge)
+        if (expired.length > 0) {
+            this._queue = this._queue.filter(item => now - item.timestamp <= this._maxQueueAge)
+            Stats.increment('eventsDropped.expired', Stats.countEvents(expired.map(item => item.event)))
+            this.showAgentError(expired.length)
+        }
+
+        if (!BrowserAgentBackend.isAgentReady()) return
+        let queue = this._queue
+        this._queue = []
+        queue.forEach(item => {
+            item.data['timestamp'] = item.timestamp
+            this.record(item.event, item.data)
+        })
+    }
+
+    /**
+     * Checks the agent later, while events are queued.
+     * @private
+     */
+    schedulePoll() {
+        if (this._pollTimeout || !this._started || this._queue.length == 0) return
+        this._pollTimeout = setTimeout(() => {
+            this._pollTimeout = null
+            this.replay()
+            this.schedulePoll()
+        }, this._pollInterval)
+    }
+
+    /**
+     * Sends given event to the agent, as a custom event or a page action.
+     * @private
+     * @param {String} event Event name.
+     * @param {Object} data Event attributes.
+     */
+    record(event, data) {
+        Stats.increment('eventsSent', Stats.countEvents([event]))
+        if (this._eventType && typeof newrelic.recordCustomEvent === 'function') {
+            data['actionName'] = event
+            newrelic.recordCustomEvent(this._eventType, Limits.enforce(data, Limits.BROWSER_AGENT))
+        } else {
+            newrelic.addPageAction(event, Limits.enforce(data, Limits.BROWSER_AGENT))
+        }
+    }
+
+    /**
+     * Logs, once, that events were discarded because the agent never showed up.
+     * @private
+     * @param {number} count Discarded events.
+     */
+    showAgentError(count) {
+        if (this._isErrorShown) return
+        Log.error(
+            'newrelic.addPageAction() is not available, ' + count + ' events discarded.',
+            'In order to use NewRelic Video you will need New Relic Browser Agent.'
+        )
+        this._isErrorShown = true
+    }
+
+    /**
+     * Returns true if the Browser Agent is loaded.
+     * @returns {Boolean} True if newrelic.addPageAction is available.
+     */
+    static isAgentReady() {
+        return typeof newrelic !== 'undefined' && typeof newrelic.addPageAction === 'function'
+    }
+}
+
+export default BrowserAgentBackend
@@ -0,0 +1,150 @@
+import Backend from '../backend'
+import Log from '../log'
+import EventMatcher from '../eventmatcher'
+
+/**
+ * Implements a backend that forwards every event to several child backends. For a description of
+ * what is a Backend, see {@link Backend}.
+ * Each child can have a filter to choose which events it receives. Errors thrown by a child are
+ * logged and do not affect the rest.
+ *
+ * @example
+ * let backend = new nrvideo.CompositeBackend()
+ * // Only heartbeats go to Insights
+ * backend.addBackend(new nrvideo.NRInsightsBackend("ACCOUNT ID", "API KEY"), {
+ *   allow: ['CONTENT_HEARTBEAT', 'AD_HEARTBEAT']
+ * })
+ * // Everything but heartbeats goes to our collector
+ * backend.addBackend(myBackend, { deny: [/_HEARTBEAT$/] })
+ * nrvideo.Core.setBackend(backend)
+ *
+ * @extends Backend
+ */
+class CompositeBackend extends Backend {
+    /**
+     * Constructor, receives (optionally) a list of child backends.
+     *
+     * @param {Array} [backends] Child backends. Each item is either a Backend or an object
+     * { backend, filter }. See {@link addBackend}.
+     */
+    constructor(backends = []) {
+        super()
+
+        /**
+         * Child backends and their filters.
+         * @private
+         */
+        this._children = []
+
+        backends.forEach((item) => {
+            if (item instanceof Backend) {
+                this.addBackend(item)
+            } else {
+                this.addBackend(item.backend, item.filter)
+            }
+        })
+    }
+
+    /**
+     * Adds a child backend.
+     *
+     * @param {Backend} backend Backend instance.
+     * @param {(function|Object)} [filter] Events sent to this backend. Either a function that
+     * receives (event, data) and returns true to send the event, or an object with allow and/or
+     * deny lists. List items can be event names or RegExps. By default, all events are sent.
+     * @param {Array} [filter.allow] Only these events are sent.
+     * @param {Array} [filter.deny] These events are not sent.
+     */
+    addBackend(backend, filter) {
+        if (!(backend instanceof Backend)) {
+            Log.error('Tried to add a non-backend.', backend)
+            return
+        }
+        this._children.push({ backend: backend, accepts: createPredicate(filter) })
+    }
+
+    /**
+     * Removes a child backend. It is not disposed.
+     * @param {Backend} backend Backend instance.
+     */
+    removeBackend(backend) {
+        this._children = this._children.filter(child => child.backend !== backend)
+    }
+
+    /**
+     * Returns the child backends.
+     * @returns {Backend[]} Array of backends.
+     */
+    getBackends() {
+        return this._children.map(child => child.backend)
+    }
+
+    send(event, data) {
+        data = data || {}
+        super.send(event, data)
+        this._children.forEach((child) => {
+            try {
+                // Every child gets its own copy, since backends add their own attributes
+                if (child.accepts(event, data)) child.backend.send(event, Object.assign({}, data))
+            } catch (err) {
+                Log.error('Backend failed to send ' + event + ':', err)
+            }
+        })
+    }
+
+    start() {
+        this.forEachChild('start')
+    }
+
+    stop() {
+        this.forEachChild('stop')
+    }
+
+    flush() {
+        return Promise.all(this._children.map((child) => {
+            return Promise.resolve()
+                .then(() => child.backend.flush())
+                .catch((err) => {
+                    Log.error('Backend failed to flush:', err)
+                    return false
+                })
+        })).then(results => results.every(result => result !== false))
+    }
+
+    dispose() {
+        this.forEachChild('dispose')
+    }
+
+    /**
+     * Calls given method on every child backend, isolating errors.
+     * @private
+     * @param {String} method Method name.
+     */
+    forEachChild(method) {
+        this._children.forEach((child) => {
+            try {
+                child.backend[method]()
+            } catch (err) {
+                Log.error('Backend failed to ' + method + ':', err)
+            }
+        })
+    }
+}
+
+/**
+ * Builds a predicate from a backend filter.
+ * @private
+ * @param {(function|Object)} [filter] Filter, see {@link CompositeBackend#addBackend}.
+ * @returns {function} Function that receives (event, data) and returns true to send the event.
+ */
+function createPredicate (filter) {
+    if (typeof filter === 'function') return filter
+    if (!filter) return () => true
+    return (event) => {
+        if (filter.allow && !EventMatcher.matches(filter.allow, event)) return false
+        if (filter.deny && EventMatcher.matches(filter.deny, event)) return false
+        return true
+    }
+}
+
+export default CompositeBackend
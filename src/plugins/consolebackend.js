@@ -0,0 +1,62 @@
+import Backend from '../backend'
+import Log from '../log'
+
+/**
+ * Implements a backend that prints every event to the browser console, with its attributes in a
+ * table. For a description of what is a Backend, see {@link Backend}. Useful for local
+ * development. Events are printed regardless of {@link Log.level}.
+ *
+ * @example
+ * nrvideo.Core.setBackend(new nrvideo.ConsoleBackend())
+ *
+ * @extends Backend
+ */
+class ConsoleBackend extends Backend {
+    /**
+     * Constructor, receives options.
+     *
+     * @param {Object} [options] Backend options.
+     * @param {Boolean} [options.collapsed] Print events in collapsed groups. Default true.
+     */
+    constructor(options = {}) {
+        super()
+
+        /**
+         * Print collapsed groups.
+         * @private
+         */
+        this._collapsed = options.collapsed !== false
+    }
+
+    send(event, data) {
+        data = data || {}
+        super.send(event, data)
+
+        const title = Log.prefix + ' ' + event
+        if (typeof console.table === 'function' && typeof console.group === 'function') {
+            if (this._collapsed && typeof console.groupCollapsed === 'function') {
+                console.groupCollapsed(title)
+            } else {
+                console.group(title)
+            }
+            console.table(sortKeys(data))
+            console.groupEnd()
+        } else {
+            console.log(title, data)
+        }
+    }
+}
+
+/**
+ * Returns a copy of given object with its keys sorted alphabetically.
+ * @private
+ * @param {Object} data Object to sort.
+ * @returns {Object} Sorted copy.
+ */
+function sortKeys (data) {
+    let sorted = {}
+    Object.keys(data).sort().forEach((key) => { sorted[key] = data[key] })
+    return sorted
+}
+
+export default ConsoleBackend
@@ -0,0 +1,190 @@
+import BatchBackend from '../batchbackend'
+import Log from '../log'
+
+/**
+ * Implements a generic HTTP backend, that sends events in batches to any endpoint, in the format
+ * given by a serializer. For a description of what is a Backend, see {@link Backend}. Batching,
+ * persistence and retries work like in {@link NRInsightsBackend}, see {@link BatchBackend}.
+ *
+ * Events are flat objects with their attributes, plus actionName and timestamp.
+ *
+ * @example
+ * let backend = new nrvideo.HttpBackend('https://events.example.com/video', {
+ *   serializer: 'ndjson',
+ *   auth: () => auth.getToken().then(token => ({ 'Authorization': 'Bearer ' + token }))
+ * })
+ *
+ * // Custom format
+ * new nrvideo.HttpBackend('https://events.example.com/video', {
+ *   method: 'PUT',
+ *   serializer: {
+ *     contentType: 'application/json',
+ *     serialize: events => JSON.stringify({ app: 'web', events: events })
+ *   }
+ * })
+ *
+ * @extends BatchBackend
+ */
+class HttpBackend extends BatchBackend {
+    /**
+     * Constructor, receives the endpoint URL and options.
+     *
+     * @param {String} url Endpoint URL.
+     * @param {Object} [options] Backend options. Batching, persistence, overflow and retry options
+     * are described in {@link BatchBackend}.
+     * @param {String} [options.method] HTTP method. Default 'POST'.
+     * @param {Object} [options.headers] Extra headers added to every request.
+     * @param {(String|function|Object)} [options.serializer] Format of the request bodies. One of
+     * {@link HttpBackend.Serializers} names ('json', 'ndjson', 'form'), a function receiving the
+     * events and returning the body, or an object with serialize function and contentType.
+     * Default 'json'.
+     * @param {function} [options.auth] Callback returning auth headers, or a Promise of them. It
+     * is called before every request, so tokens can be refreshed.
+     * @param {String} [options.storeKey] Key of the default store. Use different keys when
+     * several HttpBackends are used. Default 'http-events'.
+     */
+    constructor(url, options = {}) {
+        super(options, options.storeKey || 'http-events')
+
+        /**
+         * Endpoint URL.
+         * @private
+         */
+        this._url = url
+
+        /**
+         * HTTP method.
+         * @private
+         */
+        this._method = (options.method || 'POST').toUpperCase()
+
+        /**
+         * Serializer.
+         * @private
+         */
+        this._serializer = getSerializer(options.serializer)
+
+        /**
+         * Auth headers callback.
+         * @private
+         */
+        this._auth = typeof options.auth === 'function' ? options.auth : null
+    }
+
+    /**
+     * Returns the endpoint URL.
+     * @returns {String} Endpoint URL.
+     */
+    getCollectorUrl() {
+        return this._url
+    }
+
+    /**
+     * Returns the HTTP method of the requests.
+     * @returns {String} HTTP method.
+     */
+    getMethod() {
+        return this._method
+    }
+
+    /**
+     * Returns the headers of the requests: content type, extra headers and auth headers. If the
+     * auth callback returns a Promise, a Promise is returned.
+     * @returns {(Object|Promise<Object>)} Request headers.
+     */
+    getHeaders() {
+        let headers = Object.assign({ 'Content-Type': this._serializer.contentType }, this._headers)
+        if (!this._auth) return headers
+
+        let auth
+        try {
+            auth = this._auth()
+        } catch (err) {
+            Log.error('Auth callback failed:', err)
+            return headers
+        }
+        if (auth && typeof auth.then === 'function') {
+            return auth.then(
+                auth => Object.assign(headers, auth),
+                (err) => {
+                    Log.error('Auth callback failed:', err)
+                    return headers
+                }
+            )
+        }
+        return Object.assign(headers, auth)
+    }
+
+    /**
+     * Encodes given events with the serializer.
+     * @param {Array} events Events to send.
+     * @returns {String} Request body.
+     */
+    serialize(events) {
+        return this._serializer.serialize(events)
+    }
+}
+
+/**
+ * Returns the serializer described by given option.
+ * @private
+ * @param {(String|function|Object)} [serializer] Serializer name, function or object.
+ * @returns {Object} Serializer, with serialize function and contentType.
+ */
+function getSerializer (serializer) {
+    if (typeof serializer === 'function') {
+        return { contentType: 'application/json', serialize: serializer }
+    }
+    if (serializer && typeof serializer.serialize === 'function') {
+        return { contentType: serializer.contentType || 'application/json', serialize: serializer.serialize }
+    }
+    let name = (serializer || 'json').toUpperCase()
+    if (!HttpBackend.Serializers[name]) {
+        Log.warn('Unknown serializer ' + serializer + ', using json.')
+        return HttpBackend.Serializers.JSON
+    }
+    return HttpBackend.Serializers[name]
+}
+
+/**
+ * Encodes given value as a form field value.
+ * @private
+ * @param {*} value Value.
+ * @returns {String} Encoded value.
+ */
+function encodeFormValue (value) {
+    return encodeURIComponent(typeof value === 'object' ? JSON.stringify(value) : String(value))
+}
+
+/**
+ * Built-in serializers.
+ * @static
+ */
+HttpBackend.Serializers = {
+    /** JSON array of events. */
+    JSON: {
+        contentType: 'application/json',
+        serialize: events => JSON.stringify(events)
+    },
+    /** One JSON event per line. */
+    NDJSON: {
+        contentType: 'application/x-ndjson',
+        serialize: events => events.map(ev => JSON.stringify(ev)).join('\n') + '\n'
+    },
+    /** Form fields, named events[index][attribute]. */
+    FORM: {
+        contentType: 'application/x-www-form-urlencoded',
+        serialize: events => {
+            let fields = []
+            events.forEach((ev, i) => {
+                for (let key in ev) {
+                    if (ev[key] === null || typeof ev[key] === 'undefined') continue
+                    fields.push(encodeURIComponent('events[' + i + '][' + key + ']') + '=' + encodeFormValue(ev[key]))
+                }
+            })
+            return fields.join('&')
+        }
+    }
+}
+
+export default HttpBackend
@@ -0,0 +1,151 @@
+import EventStore from '../eventstore'
+import Log from '../log'
+
+/**
+ * Implements an event store backed by IndexedDB. For a description of what is an EventStore, see
+ * {@link EventStore}. This is the default store when the browser supports it. Each owner saves its
+ * events under its own record, keyed by the key and the owner. ie: 'events/OWNER'. Records are
+ * claimed inside a transaction, so two tabs can't claim the same record.
+ *
+ * @example
+ * let backend = new nrvideo.NRInsightsBackend("ACCOUNT ID", "API KEY", "BrowserVideo", {
+ *   store: new nrvideo.IndexedDBEventStore()
+ * })
+ *
+ * @extends EventStore
+ */
+class IndexedDBEventStore extends EventStore {
+    /**
+     * Constructor, receives the database name and the key of the stored events.
+     *
+     * @param {String} [dbName] Database name. Default 'nrvideo'.
+     * @param {String} [key] Key used to store the events. Default 'events'.
+     */
+    constructor(dbName = 'nrvideo', key = 'events') {
+        super()
+
+        /**
+         * Database name.
+         * @private
+         */
+        this._dbName = dbName
+
+        /**
+         * Record key.
+         * @private
+         */
+        this._key = key
+
+        /**
+         * Promise of the opened database.
+         * @private
+         */
+        this._db = null
+    }
+
+    load() {
+        return this.request('readonly', store => store.get(this.getOwnKey()))
+            .then(record => EventStore.getRecordEvents(record))
+            .catch((err) => {
+                Log.warn('Could not load stored events:', err)
+                return []
+            })
+    }
+
+    save(events) {
+        return this.request('readwrite', (store) => {
+            if (events.length == 0) return store.delete(this.getOwnKey())
+            return store.put({ owner: this.owner, updated: Date.now(), events: events.slice() }, this.getOwnKey())
+        }).catch(err => Log.warn('Could not store events:', err))
+    }
+
+    claim(leaseTime) {
+        let events = []
+        return this.open().then(db => new Promise((resolve, reject) => {
+            let tx = db.transaction(STORE_NAME, 'readwrite')
+            // Records of this key sort between the key and its owners' records
+            let range = IDBKeyRange.bound(this._key, this._key + '/\uffff')
+            let req = tx.objectStore(STORE_NAME).openCursor(range)
+            req.onsuccess = () => {
+                let cursor = req.result
+                if (!cursor) return
+                let key = cursor.key
+                let isStoreKey = key === this._key || key.indexOf(this._key + '/') === 0
+                if (isStoreKey && EventStore.isOrphaned(cursor.value, this.owner, leaseTime)) {
+                    events.push(...EventStore.getRecordEvents(cursor.value))
+                    cursor.delete()
+                }
+                cursor.continue()
+            }
+            tx.oncomplete = () => resolve(EventStore.sortEvents(events))
+            tx.onerror = () => reject(tx.error)
+        })).catch((err) => {
+            Log.warn('Could not claim stored events:', err)
+            return []
+        })
+    }
+
+    release() {
+        return this.request('readwrite', (store) => {
+            // Same transaction, so the record can't be claimed in between
+            let req = store.get(this.getOwnKey())
+            req.addEventListener('success', () => {
+                let record = req.result
+                if (record && !Array.isArray(record)) {
+                    record.updated = 0
+                    store.put(record, this.getOwnKey())
+                }
+            })
+            return req
+        }).catch(err => Log.warn('Could not store events:', err))
+    }
+
+    /**
+     * Returns the record key of this owner.
+     * @private
+     * @returns {String} Record key.
+     */
+    getOwnKey() {
+        return this._key + '/' + this.owner
+    }
+
+    /**
+     * Runs a request against the events object store.
+     * @private
+     * @param {String} mode Transaction mode.
+     * @param {function} callback Receives the object store and returns an IDBRequest.
+     * @returns {Promise} Resolved with the request result.
+     */
+    request(mode, callback) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            let req = callback(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME))
+            req.onsuccess = () => resolve(req.result)
+            req.onerror = () => reject(req.error)
+        }))
+    }
+
+    /**
+     * Opens the database, creating the object store if needed.
+     * @private
+     * @returns {Promise<IDBDatabase>} Opened database.
+     */
+    open() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                let req = indexedDB.open(this._dbName, 1)
+                req.onupgradeneeded = () => req.result.createObjectStore(STORE_NAME)
+                req.onsuccess = () => resolve(req.result)
+                req.onerror = () => reject(req.error)
+            })
+        }
+        return this._db
+    }
+
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null
+    }
+}
+
+const STORE_NAME = 'events'
+
+export default IndexedDBEventStore
@@ -0,0 +1,145 @@
+import EventStore from '../eventstore'
+import Log from '../log'
+
+/**
+ * Implements an event store backed by window.localStorage. For a description of what is an
+ * EventStore, see {@link EventStore}. Each owner saves its events under its own item, named after
+ * the key and the owner. ie: 'nrvideo-events/OWNER'.
+ *
+ * @example
+ * let backend = new nrvideo.NRInsightsBackend("ACCOUNT ID", "API KEY", "BrowserVideo", {
+ *   store: new nrvideo.LocalStorageEventStore()
+ * })
+ *
+ * @extends EventStore
+ */
+class LocalStorageEventStore extends EventStore {
+    /**
+     * Constructor, receives the localStorage key.
+     *
+     * @param {String} [key] Key used to store the events. Default 'nrvideo-events'.
+     */
+    constructor(key = 'nrvideo-events') {
+        super()
+
+        /**
+         * localStorage key.
+         * @private
+         */
+        this._key = key
+    }
+
+    load() {
+        return Promise.resolve(EventStore.getRecordEvents(this.getItem(this.getOwnKey())))
+    }
+
+    save(events) {
+        if (events.length > 0) {
+            this.setItem(this.getOwnKey(), { owner: this.owner, updated: Date.now(), events: events })
+        } else {
+            this.removeItem(this.getOwnKey())
+        }
+        return Promise.resolve()
+    }
+
+    claim(leaseTime) {
+        let events = []
+        this.getKeys().forEach((key) => {
+            let record = this.getItem(key)
+            if (EventStore.isOrphaned(record, this.owner, leaseTime)) {
+                events.push(...EventStore.getRecordEvents(record))
+                this.removeItem(key)
+            }
+        })
+        return Promise.resolve(EventStore.sortEvents(events))
+    }
+
+    release() {
+        let record = this.getItem(this.getOwnKey())
+        if (record && !Array.isArray(record)) {
+            record.updated = 0
+            this.setItem(this.getOwnKey(), record)
+        }
+        return Promise.resolve()
+    }
+
+    /**
+     * Returns the item name of this owner.
+     * @private
+     * @returns {String} Item name.
+     */
+    getOwnKey() {
+        return this._key + '/' + this.owner
+    }
+
+    /**
+     * Returns the names of the items of every owner, including the one of previous versions.
+     * @private
+     * @returns {Array} Item names.
+     */
+    getKeys() {
+        let keys = []
+        try {
+            for (let i = 0; i < localStorage.length; i++) {
+                let key = localStorage.key(i)
+                if (key === this._key || (key && key.indexOf(this._key + '/') === 0)) keys.push(key)
+            }
+        } catch (err) {
+            Log.warn('Could not list stored events:', err)
+        }
+        return keys
+    }
+
+    /**
+     * Reads and parses given item.
+     * @private
+     * @param {String} key Item name.
+     * @returns {*} Parsed item, or null.
+     */
+    getItem(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key))
+        } catch (err) {
+            Log.warn('Could not load stored events:', err)
+            return null
+        }
+    }
+
+    /**
+     * Stores given value as JSON.
+     * @private
+     * @param {String} key Item name.
+     * @param {*} value Value.
+     */
+    setItem(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value))
+        } catch (err) {
+            Log.warn('Could not store events:', err)
+        }
+    }
+
+    /**
+     * Removes given item.
+     * @private
+     * @param {String} key Item name.
+     */
+    removeItem(key) {
+        try {
+            localStorage.removeItem(key)
+        } catch (err) {
+            Log.warn('Could not store events:', err)
+        }
+    }
+
+    static isAvailable() {
+        try {
+            return typeof localStorage !== 'undefined' && localStorage !== null
+        } catch (err) {
+            // Accessing localStorage throws when storage is blocked
+            return false
+        }
+    }
+}
+
+export default LocalStorageEventStore
@@ -0,0 +1,90 @@
+import Backend from '../backend'
+
+/**
+ * Implements a backend that keeps every event in memory. For a description of what is a Backend,
+ * see {@link Backend}. Useful to test trackers without a New Relic agent or account.
+ *
+ * @example
+ * let backend = new nrvideo.MemoryBackend()
+ * nrvideo.Core.setBackend(backend)
+ * tracker.sendRequest()
+ * backend.getEventNames() // ['CONTENT_REQUEST']
+ *
+ * @extends Backend
+ */
+class MemoryBackend extends Backend {
+    constructor() {
+        super()
+
+        /**
+         * Recorded events, in the order they were sent.
+         * @private
+         */
+        this._events = []
+    }
+
+    send(event, data) {
+        data = data || {}
+        super.send(event, data)
+        this._events.push({ type: event, data: Object.assign({}, data), timestamp: Date.now() })
+    }
+
+    /**
+     * Returns all the recorded events, in the order they were sent. Each one is an object with
+     * type (event name), data (attributes) and timestamp.
+     * @returns {Object[]} Recorded events.
+     */
+    getEvents() {
+        return this._events.slice()
+    }
+
+    /**
+     * Returns the recorded events with given name, in the order they were sent.
+     * @param {String} name Event name.
+     * @returns {Object[]} Recorded events.
+     */
+    getEventsByName(name) {
+        return this._events.filter(ev => ev.type === name)
+    }
+
+    /**
+     * Returns the recorded events of given view, in the order they were sent.
+     * @param {String} viewId View ID.
+     * @returns {Object[]} Recorded events.
+     */
+    getEventsByViewId(viewId) {
+        return this._events.filter(ev => ev.data.viewId === viewId)
+    }
+
+    /**
+     * Returns the names of the recorded events, in the order they were sent.
+     * @returns {String[]} Event names.
+     */
+    getEventNames() {
+        return this._events.map(ev => ev.type)
+    }
+
+    /**
+     * Returns the last recorded event, optionally with given name.
+     * @param {String} [name] Event name.
+     * @returns {(Object|null)} Recorded event, or null if there is none.
+     */
+    getLastEvent(name) {
+        let events = name ? this.getEventsByName(name) : this._events
+        return events.length > 0 ? events[events.length - 1] : null
+    }
+
+    /**
+     * Removes all the recorded events.
+     */
+    clear() {
+        this._events = []
+    }
+
+    dispose() {
+        super.dispose()
+        this.clear()
+    }
+}
+
+export default MemoryBackend
@@ -0,0 +1,31 @@
+import EventStore from '../eventstore'
+
+/**
+ * Implements an in-memory event store. For a description of what is an EventStore, see
+ * {@link EventStore}. Events do not survive page reloads, it is used as a fallback when no
+ * persistent storage is available.
+ *
+ * @extends EventStore
+ */
+class MemoryEventStore extends EventStore {
+    constructor() {
+        super()
+
+        /**
+         * Stored events.
+         * @private
+         */
+        this._events = []
+    }
+
+    load() {
+        return Promise.resolve(this._events.slice())
+    }
+
+    save(events) {
+        this._events = events.slice()
+        return Promise.resolve()
+    }
+}
+
+export default MemoryEventStore
@@ -1,5 +1,10 @@
-import Backend from '../backend'
+import BatchBackend from '../batchbackend'
 import Log from '../log'
+import EventMatcher from '../eventmatcher'
+import Redactor from '../redactor'
+import Limits from '../limits'
+import Tracker from '../tracker'
+import VideoTracker from '../videotracker'
 
 /**
  * Implements a New Relic Insights API backend. For a description of what is a Backend, see {@link Backend}.
@@ -9,18 +14,49 @@ import Log from '../log'
  * let backend = new nrvideo.NRInsightsBackend("ACCOUNT ID", "API KEY")
  * nrvideo.Core.setBackend(backend)
  *
- * @extends Backend
+ * @example
+ * // Send to the EU collector
+ * new nrvideo.NRInsightsBackend("ACCOUNT ID", "API KEY", null, { region: 'EU' })
+ *
+ * // Send every event to a single event type
+ * new nrvideo.NRInsightsBackend("ACCOUNT ID", "API KEY", "BrowserVideo")
+ *
+ * // Send through a proxy, that adds the key by itself
+ * new nrvideo.NRInsightsBackend("ACCOUNT ID", null, null, {
+ *   url: 'https://ingest.example.com/newrelic/{accountId}/events',
+ *   headers: { 'X-Proxy-Token': 'TOKEN' }
+ * })
+ *
+ * @extends BatchBackend
  */
-class NRInsightsBackend extends Backend {
+class NRInsightsBackend extends BatchBackend {
     /**
-     * Constructor, receives account ID, API Key and (optionally) an event type.
+     * Constructor, receives account ID, API Key and (optionally) an event type and options.
      *
      * @param {String} [accountId] Insights Account ID.
      * @param {String} [apiKey] Insights API Key.
-     * @param {String} [eventType] Insights event type. Default 'BrowserVideo'.
+     * @param {String} [eventType] Insights event type of the events not matching any routing rule.
+     * If set, and no rules are given, every event goes to this event type. Default
+     * 'VideoCustomAction'.
+     * @param {Object} [options] Backend options.
+     * @param {Object[]} [options.eventTypes] Routing rules, checked in order, that set the event
+     * type of each event. Each rule is an object with an eventType and the events it matches, either
+     * a list of event names and RegExps or a function receiving (event, data). Default
+     * {@link NRInsightsBackend.DEFAULT_EVENT_TYPES}.
+     * @param {String} [options.region] Collector region, one of {@link NRInsightsBackend.Regions}.
+     * Default 'US'.
+     * @param {String} [options.url] Custom collector URL, overrides the region. '{accountId}' is
+     * replaced by the account ID.
+     * @param {Object} [options.headers] Extra headers added to every request.
+     * @param {number} [options.maxBatchBytes] Max size in bytes of a single request body. Default,
+     * and max, 1000000 (see {@link Limits.INSIGHTS}).
+     * @param {EventStore} [options.store] Store used to persist buffered events. Other batching,
+     * persistence, overflow and retry options are described in {@link BatchBackend}.
+     * @param {String} [options.storeKey] Key of the default store. Use different keys to keep the
+     * stored events of several NRInsightsBackends apart. Default 'events'.
      */
-    constructor(accountId, apiKey, eventType = 'BrowserVideo') {
-        super()
+    constructor(accountId, apiKey, eventType, options = {}) {
+        super(options, options.storeKey || 'events')
 
         /**
          * Insights account ID.
@@ -35,51 +71,83 @@ class NRInsightsBackend extends Backend {
         this._apiKey = apiKey
 
         /**
-         * Insights event type.
+         * Insights event type of unmatched events.
          * @private
          */
-        this._eventType = eventType
+        this._eventType = eventType || 'VideoCustomAction'
 
         /**
-         * Buffer to store events.
+         * Event type routing rules.
          * @private
          */
-        this._eventBuffer = []
+        this._eventTypes = options.eventTypes || (eventType ? [] : NRInsightsBackend.DEFAULT_EVENT_TYPES)
 
         /**
-         * Harvest timer lock.
+         * Collector region.
          * @private
          */
-        this._harvestLocked = false
+        this._region = options.region || NRInsightsBackend.Regions.US
+        if (!COLLECTOR_HOSTS[this._region]) {
+            Log.warn('Unknown Insights region ' + this._region + ', using US.')
+            this._region = NRInsightsBackend.Regions.US
+        }
 
         /**
-         * Last timestamp.
+         * Custom collector URL template.
          * @private
          */
-        this._lastTimestamp = 0
+        this._url = options.url || null
+
+        this._maxBatchBytes = Math.min(this._maxBatchBytes, Limits.INSIGHTS.maxPayloadBytes)
+    }
+
+    /**
+     * Changes the Insights account ID. Buffered events not sent yet will go to the new account, call
+     * {@link flush} before if they belong to the previous one.
+     * @param {String} accountId Insights Account ID.
+     */
+    setAccountId(accountId) {
+        this._accountId = accountId
+    }
 
-        // Define harvest timer handler
-        setInterval(() => { this.harvestHandler(NRInsightsBackend.Source.TIMER) }, 10000)
+    /**
+     * Changes the Insights API Key. Buffered events not sent yet will be sent with the new key.
+     * @param {String} apiKey Insights API Key.
+     */
+    setApiKey(apiKey) {
+        this._apiKey = apiKey
     }
 
-    send(event, data) {
-        super.send(event, data)
-        if (this._eventBuffer.length < 500) {
-            data = this.generateAttributes(data)
-            data['eventType'] = this._eventType
-            data['actionName'] = event
-            // Mechanism to avoid having two events with the same timestamp
-            let timestamp = Date.now()
-            if (timestamp > this._lastTimestamp) {
-                data['timestamp'] = timestamp
-                this._lastTimestamp = timestamp
-            }
-            else {
-                this._lastTimestamp ++
-                data['timestamp'] = this._lastTimestamp
-            }
-            this._eventBuffer.push(data)
+    /**
+     * Adds the page and device attributes and the event type, and enforces Insights limits.
+     *
+     * @param {String} event Event name.
+     * @param {Object} data Event attributes.
+     * @returns {Object} Event to buffer.
+     */
+    createEvent(event, data) {
+        // Backend attributes include URLs, redact them too
+        data = Redactor.redact(this.generateAttributes(data))
+        data['eventType'] = this.getEventType(event, data)
+        return Limits.enforce(super.createEvent(event, data), Limits.INSIGHTS)
+    }
+
+    /**
+     * Returns the Insights event type of given event, according to the routing rules.
+     *
+     * @param {String} event Event name.
+     * @param {Object} data Event attributes.
+     * @returns {String} Event type.
+     */
+    getEventType(event, data) {
+        for (let i = 0; i < this._eventTypes.length; i++) {
+            let rule = this._eventTypes[i]
+            let matched = typeof rule.events === 'function'
+                ? rule.events(event, data)
+                : EventMatcher.matches(rule.events || [], event)
+            if (matched) return rule.eventType
         }
+        return this._eventType
     }
 
     generateAttributes(data) {
@@ -117,51 +185,75 @@ class NRInsightsBackend extends Backend {
         return data
     }
 
-    harvestHandler(source) {
-        if (source == NRInsightsBackend.Source.TIMER && this._harvestLocked) {
-            Log.debug("Harvest still locked, abort")
-            return
-        }
-
-        this._harvestLocked = true
-
-        if (this._eventBuffer.length > 0) {
-            Log.debug("Push events to Insights = ", this._eventBuffer)
-            this.pushEventToInsights(this._eventBuffer.pop())
-        }
-        else {
-            this._harvestLocked = false
+    /**
+     * Returns the URL of the Insights collector.
+     * @returns {String} Collector URL.
+     */
+    getCollectorUrl() {
+        if (this._url) {
+            return this._url.replace(/{accountId}/g, encodeURIComponent(this._accountId))
         }
+        return COLLECTOR_HOSTS[this._region] + "/v1/accounts/" + this._accountId + "/events"
     }
 
-    pushEventToInsights(ev) {
-        const requestOptions = {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'X-Insert-Key': this._apiKey },
-            body: JSON.stringify(ev)
-        }
-
-        const url = "https://insights-collector.newrelic.com/v1/accounts/" + this._accountId + "/events"
-        fetch(url, requestOptions)
-            .then(response => response.json())
-            .then(data => this.insightsRequestResponse(data))
-            .catch((error) => {
-                Log.error('Error:', error, ev);
-                // Put back the event and abort current fetch process
-                this._eventBuffer.push(ev)
-                this._harvestLocked = false
-            });
+    /**
+     * Returns the collector URL with the API key in the query string, as beacons can't carry
+     * headers.
+     * @returns {String} Beacon URL.
+     */
+    getBeaconUrl() {
+        let url = this.getCollectorUrl()
+        if (this._apiKey) url += (url.indexOf('?') == -1 ? '?' : '&') + 'Api-Key=' + encodeURIComponent(this._apiKey)
+        return url
     }
 
-    insightsRequestResponse(data) {
-        // Send next event
-        this.harvestHandler(NRInsightsBackend.Source.FETCH)
+    /**
+     * Returns the headers of Insights requests, including the extra headers.
+     * @returns {Object} Request headers.
+     */
+    getHeaders() {
+        let headers = { 'Content-Type': 'application/json' }
+        if (this._apiKey) headers['X-Insert-Key'] = this._apiKey
+        return Object.assign(headers, this._headers)
     }
 }
 
-NRInsightsBackend.Source = {
-    TIMER: "TIMER",
-    FETCH: "FETCH"
+/**
+ * Enum for collector regions.
+ * @enum {String}
+ * @static
+ */
+NRInsightsBackend.Regions = {
+    /** United States. */
+    US: 'US',
+    /** European Union. */
+    EU: 'EU',
+    /** FedRAMP compliant collector. */
+    FEDRAMP: 'FEDRAMP'
+}
+
+const COLLECTOR_HOSTS = {
+    US: 'https://insights-collector.newrelic.com',
+    EU: 'https://insights-collector.eu01.nr-data.net',
+    FEDRAMP: 'https://gov-insights-collector.newrelic.com'
 }
 
+const VIDEO_EVENTS = Object.keys(VideoTracker.Events).map(key => VideoTracker.Events[key])
+
+/**
+ * Default routing rules of event types, following the conventions of New Relic video agents:
+ * - Library telemetry, ie: NRVIDEO_SUPPORTABILITY, goes to VideoSupportability.
+ * - Errors go to VideoErrorAction.
+ * - Ad events go to VideoAdAction.
+ * - Player and content events go to VideoAction.
+ * - The rest, ie: custom events, go to the default event type, VideoCustomAction.
+ * @static
+ */
+NRInsightsBackend.DEFAULT_EVENT_TYPES = [
+    { eventType: 'VideoSupportability', events: ['NRVIDEO_SUPPORTABILITY'] },
+    { eventType: 'VideoErrorAction', events: [/ERROR$/] },
+    { eventType: 'VideoAdAction', events: VIDEO_EVENTS.filter(event => event.indexOf('AD_') === 0) },
+    { eventType: 'VideoAction', events: VIDEO_EVENTS.concat(Tracker.Events.HEARTBEAT) }
+]
+
 export default NRInsightsBackend
@@ -0,0 +1,270 @@
+import BatchBackend from '../batchbackend'
+import Log from '../log'
+
+/**
+ * Implements a New Relic Metric API backend, that aggregates tracker events into metrics instead of
+ * sending every event. For a description of what is a Backend, see {@link Backend}. Batching,
+ * persistence and retries work like in {@link NRInsightsBackend}, see {@link BatchBackend}.
+ *
+ * Metrics are aggregated per interval, and per dimensions (contentId, playerName and contentCdn by
+ * default), from the attributes computed by {@link VideoTrackerState}:
+ * - video.events (count): events, with actionName attribute.
+ * - video.playtime (count): playtime in ms, from playtimeSinceLastEvent.
+ * - video.startup.time (summary): time in ms from CONTENT_REQUEST to CONTENT_START.
+ * - video.buffer.time (summary): buffering time in ms, with bufferType attribute.
+ * - video.rendition.switches (count): rendition changes, with shift attribute (up or down).
+ * - video.errors (count): content and ad errors, with errorPhase and isFatal attributes.
+ * - video.bitrate (gauge): last content bitrate.
+ *
+ * @example
+ * nrvideo.Core.setBackend(new nrvideo.NRMetricsBackend("API KEY", { interval: 30000 }))
+ *
+ * @extends BatchBackend
+ */
+class NRMetricsBackend extends BatchBackend {
+    /**
+     * Constructor, receives the API key and options.
+     *
+     * @param {String} [apiKey] New Relic license or insert key.
+     * @param {Object} [options] Backend options. Batching, persistence, overflow and retry options
+     * are described in {@link BatchBackend}.
+     * @param {number} [options.interval] Aggregation interval, in ms. It is checked with every
+     * harvest, that happens every 10 seconds. Default 60000.
+     * @param {String[]} [options.dimensions] Event attributes metrics are keyed by. Default
+     * ['contentId', 'playerName', 'contentCdn'].
+     * @param {String} [options.region] Collector region, one of 'US', 'EU' or 'FEDRAMP'.
+     * Default 'US'.
+     * @param {String} [options.url] Custom collector URL, overrides the region.
+     * @param {Object} [options.headers] Extra headers added to every request.
+     */
+    constructor(apiKey, options = {}) {
+        super(options, 'metrics')
+
+        /**
+         * API key.
+         * @private
+         */
+        this._apiKey = apiKey
+
+        /**
+         * Aggregation interval, in ms.
+         * @private
+         */
+        this._interval = options.interval || 60000
+
+        /**
+         * Dimension attributes.
+         * @private
+         */
+        this._dimensions = options.dimensions || ['contentId', 'playerName', 'contentCdn']
+
+        /**
+         * Collector URL.
+         * @private
+         */
+        this._url = options.url || METRIC_HOSTS[options.region || 'US']
+        if (!this._url) {
+            Log.warn('Unknown Metric API region ' + options.region + ', using US.')
+            this._url = METRIC_HOSTS.US
+        }
+
+        /**
+         * Metrics of the current interval, by name, type and attributes.
+         * @private
+         */
+        this._metrics = {}
+
+        /**
+         * Start of the current interval.
+         * @private
+         */
+        this._intervalStart = Date.now()
+    }
+
+    send(event, data) {
+        // Metrics are aggregated instead of buffered
+        data = Object.assign({}, data, this._attributes)
+
+        let dims = {}
+        this._dimensions.forEach(key => {
+            if (data[key] !== null && typeof data[key] !== 'undefined') dims[key] = data[key]
+        })
+
+        this.addCount('video.events', 1, Object.assign({ actionName: event }, dims))
+        if (typeof data.playtimeSinceLastEvent === 'number') {
+            this.addCount('video.playtime', data.playtimeSinceLastEvent, dims)
+        }
+
+        if (event == 'CONTENT_START' && typeof data.timeSinceRequested === 'number') {
+            this.addSummary('video.startup.time', data.timeSinceRequested, dims)
+        } else if (event == 'CONTENT_BUFFER_END' && typeof data.timeSinceBufferBegin === 'number') {
+            let attributes = data.bufferType ? Object.assign({ bufferType: data.bufferType }, dims) : dims
+            this.addSummary('video.buffer.time', data.timeSinceBufferBegin, attributes)
+        } else if (event == 'CONTENT_RENDITION_CHANGE') {
+            let attributes = data.shift ? Object.assign({ shift: data.shift }, dims) : dims
+            this.addCount('video.rendition.switches', 1, attributes)
+        } else if (/ERROR$/.test(event)) {
+            let attributes = Object.assign({}, dims)
+            if (data.errorPhase) attributes.errorPhase = data.errorPhase
+            if (typeof data.isFatal === 'boolean') attributes.isFatal = data.isFatal
+            this.addCount('video.errors', 1, attributes)
+        }
+
+        if (!data.isAd && typeof data.contentBitrate === 'number') {
+            this.setGauge('video.bitrate', data.contentBitrate, dims)
+        }
+    }
+
+    /**
+     * Adds given value to a count metric of the current interval.
+     * @param {String} name Metric name.
+     * @param {number} value Value to add.
+     * @param {Object} [attributes] Metric attributes.
+     */
+    addCount(name, value, attributes) {
+        this.getMetric(name, 'count', attributes).value += value
+    }
+
+    /**
+     * Adds given value to a summary metric of the current interval.
+     * @param {String} name Metric name.
+     * @param {number} value Value to add.
+     * @param {Object} [attributes] Metric attributes.
+     */
+    addSummary(name, value, attributes) {
+        let metric = this.getMetric(name, 'summary', attributes)
+        if (!metric.value) {
+            metric.value = { count: 0, sum: 0, min: value, max: value }
+        }
+        metric.value.count ++
+        metric.value.sum += value
+        metric.value.min = Math.min(metric.value.min, value)
+        metric.value.max = Math.max(metric.value.max, value)
+    }
+
+    /**
+     * Sets the value of a gauge metric of the current interval.
+     * @param {String} name Metric name.
+     * @param {number} value Value.
+     * @param {Object} [attributes] Metric attributes.
+     */
+    setGauge(name, value, attributes) {
+        let metric = this.getMetric(name, 'gauge', attributes)
+        metric.value = value
+        metric.timestamp = Date.now()
+    }
+
+    /**
+     * Returns the metric of the current interval with given name, type and attributes, creating
+     * it if needed.
+     * @private
+     * @param {String} name Metric name.
+     * @param {String} type Metric type.
+     * @param {Object} [attributes] Metric attributes.
+     * @returns {Object} Metric.
+     */
+    getMetric(name, type, attributes) {
+        attributes = attributes || {}
+        let key = name + '|' + type + '|' + JSON.stringify(attributes)
+        if (!this._metrics[key]) {
+            this._metrics[key] = { name: name, type: type, value: type == 'summary' ? null : 0, attributes: attributes }
+        }
+        return this._metrics[key]
+    }
+
+    /**
+     * Closes the current interval, moving its metrics to the buffer, to be sent with the next
+     * harvest.
+     */
+    aggregate() {
+        let now = Date.now()
+        for (let key in this._metrics) {
+            let metric = this._metrics[key]
+            if (metric.type != 'gauge') {
+                metric.timestamp = this._intervalStart
+                metric['interval.ms'] = Math.max(1, now - this._intervalStart)
+            }
+            if (this.makeRoomFor(metric.name)) this._eventBuffer.push(metric)
+        }
+        this._metrics = {}
+        this._intervalStart = now
+        this.persistEvents()
+    }
+
+    harvestHandler(source) {
+        if (source == BatchBackend.Source.TIMER && Date.now() - this._intervalStart >= this._interval) {
+            this.aggregate()
+        }
+        super.harvestHandler(source)
+    }
+
+    /**
+     * Closes the current interval and sends its metrics right away.
+     * @returns {Promise<Boolean>} Resolved once the harvest finishes. True if the buffer was emptied.
+     */
+    flush() {
+        this.aggregate()
+        return super.flush()
+    }
+
+    flushOnExit() {
+        this.aggregate()
+        super.flushOnExit()
+    }
+
+    /**
+     * Returns the URL of the Metric API.
+     * @returns {String} Collector URL.
+     */
+    getCollectorUrl() {
+        return this._url
+    }
+
+    /**
+     * Returns the collector URL with the API key in the query string, as beacons can't carry
+     * headers.
+     * @returns {String} Beacon URL.
+     */
+    getBeaconUrl() {
+        let url = this.getCollectorUrl()
+        if (this._apiKey) url += (url.indexOf('?') == -1 ? '?' : '&') + 'Api-Key=' + encodeURIComponent(this._apiKey)
+        return url
+    }
+
+    /**
+     * Returns the headers of Metric API requests, including the extra headers.
+     * @returns {Object} Request headers.
+     */
+    getHeaders() {
+        let headers = { 'Content-Type': 'application/json' }
+        if (this._apiKey) headers['Api-Key'] = this._apiKey
+        return Object.assign(headers, this._headers)
+    }
+
+    /**
+     * Encodes given metrics as a Metric API payload.
+     * @param {Array} metrics Metrics to send.
+     * @returns {String} Request body.
+     */
+    serialize(metrics) {
+        return JSON.stringify([{
+            metrics: metrics.map(metric => {
+                let item = { name: metric.name, type: metric.type, value: metric.value, timestamp: metric.timestamp }
+                if (metric['interval.ms']) item['interval.ms'] = metric['interval.ms']
+                item.attributes = metric.attributes
+                if (metric.droppedEvents) {
+                    item.attributes = Object.assign({ droppedMetrics: metric.droppedEvents }, metric.attributes)
+                }
+                return item
+            })
+        }])
+    }
+}
+
+const METRIC_HOSTS = {
+    US: 'https://metric-api.newrelic.com/metric/v1',
+    EU: 'https://metric-api.eu.newrelic.com/metric/v1',
+    FEDRAMP: 'https://gov-metric-api.newrelic.com/metric/v1'
+}
+
+export default NRMetricsBackend
@@ -0,0 +1,275 @@
+import BatchBackend from '../batchbackend'
+import Log from '../log'
+import pkg from '../../package.json'
+
+/**
+ * Implements an OpenTelemetry OTLP/HTTP backend, that posts OTLP/JSON to a collector. For a
+ * description of what is a Backend, see {@link Backend}. Batching, persistence and retries work
+ * like in {@link NRInsightsBackend}, see {@link BatchBackend}.
+ *
+ * Each event is converted into a log record, or a span event, named after the event:
+ * - viewSession becomes the session.id resource attribute, so events are grouped by session.
+ * - viewId is the view.id attribute, and sets the trace ID (and span ID) of the event, so all the
+ *   events of a view belong to the same trace. Span events of each harvest get a span of their
+ *   own, child of the view span.
+ * - The rest of attributes become log record or span event attributes.
+ *
+ * @example
+ * // Send log records to a local collector
+ * nrvideo.Core.setBackend(new nrvideo.OtlpBackend('http://localhost:4318'))
+ *
+ * // Send span events, one span per view
+ * new nrvideo.OtlpBackend('https://otel.example.com', {
+ *   signal: 'traces',
+ *   serviceName: 'web-player',
+ *   headers: { 'Authorization': 'Bearer TOKEN' }
+ * })
+ *
+ * @extends BatchBackend
+ */
+class OtlpBackend extends BatchBackend {
+    /**
+     * Constructor, receives the collector endpoint and options.
+     *
+     * @param {String} [endpoint] Collector base URL. The signal path, '/v1/logs' or '/v1/traces',
+     * is appended. Default 'http://localhost:4318'.
+     * @param {Object} [options] Backend options. Batching, persistence, overflow and retry options
+     * are described in {@link BatchBackend}.
+     * @param {String} [options.signal] OTLP signal, one of {@link OtlpBackend.Signals}. Default
+     * 'logs'.
+     * @param {String} [options.url] Full collector URL, overrides the endpoint and signal path.
+     * @param {String} [options.serviceName] service.name resource attribute. Default 'nrvideo'.
+     * @param {Object} [options.resourceAttributes] Extra resource attributes.
+     * @param {Object} [options.headers] Extra headers added to every request.
+     */
+    constructor(endpoint = 'http://localhost:4318', options = {}) {
+        super(options, 'otlp-events')
+
+        /**
+         * OTLP signal.
+         * @private
+         */
+        this._signal = options.signal || OtlpBackend.Signals.LOGS
+        if (this._signal !== OtlpBackend.Signals.LOGS && this._signal !== OtlpBackend.Signals.TRACES) {
+            Log.warn('Unknown OTLP signal ' + this._signal + ', using logs.')
+            this._signal = OtlpBackend.Signals.LOGS
+        }
+
+        /**
+         * Collector URL.
+         * @private
+         */
+        this._url = options.url || endpoint.replace(/\/+$/, '') + '/v1/' + this._signal
+
+        /**
+         * Resource attributes shared by every event.
+         * @private
+         */
+        this._resourceAttributes = Object.assign({
+            'service.name': options.serviceName || 'nrvideo',
+            'telemetry.sdk.name': 'nrvideo',
+            'telemetry.sdk.language': 'webjs',
+            'telemetry.sdk.version': pkg.version
+        }, options.resourceAttributes)
+    }
+
+    /**
+     * Returns the URL of the OTLP collector.
+     * @returns {String} Collector URL.
+     */
+    getCollectorUrl() {
+        return this._url
+    }
+
+    /**
+     * Encodes given events as an OTLP/JSON export request, grouping them by view session.
+     * @param {Array} events Events to send.
+     * @returns {String} Request body.
+     */
+    serialize(events) {
+        let sessions = {}
+        let order = []
+        events.forEach(ev => {
+            let session = ev.viewSession || ''
+            if (!sessions[session]) {
+                sessions[session] = []
+                order.push(session)
+            }
+            sessions[session].push(ev)
+        })
+
+        let scope = { name: 'nrvideo', version: pkg.version }
+        let resources = order.map(session => {
+            let attributes = Object.assign({}, this._resourceAttributes)
+            if (session) attributes['session.id'] = session
+            let resource = { attributes: toKeyValues(attributes) }
+
+            if (this._signal === OtlpBackend.Signals.TRACES) {
+                return { resource: resource, scopeSpans: [{ scope: scope, spans: toSpans(sessions[session]) }] }
+            }
+            return { resource: resource, scopeLogs: [{ scope: scope, logRecords: sessions[session].map(toLogRecord) }] }
+        })
+
+        if (this._signal === OtlpBackend.Signals.TRACES) {
+            return JSON.stringify({ resourceSpans: resources })
+        }
+        return JSON.stringify({ resourceLogs: resources })
+    }
+}
+
+/**
+ * Converts given event into an OTLP log record.
+ * @private
+ * @param {Object} ev Buffered event.
+ * @returns {Object} Log record.
+ */
+function toLogRecord (ev) {
+    let isError = /ERROR$/.test(ev.actionName)
+    let record = {
+        timeUnixNano: toUnixNano(ev.timestamp),
+        observedTimeUnixNano: toUnixNano(ev.timestamp),
+        severityNumber: isError ? 17 : 9,
+        severityText: isError ? 'ERROR' : 'INFO',
+        body: { stringValue: ev.actionName },
+        attributes: toKeyValues(getEventAttributes(ev))
+    }
+    if (ev.viewId) {
+        record.traceId = toHexId(ev.viewId, 4)
+        record.spanId = toHexId(ev.viewId, 2, 4)
+    }
+    return record
+}
+
+/**
+ * Converts given events into OTLP spans, one per view, with the events as span events. A view is
+ * usually sent over several harvests, so each batch gets its own span ID, derived from its first
+ * event, with the view span as parent. Events without viewId are not part of any view, so they
+ * get a span of their own.
+ * @private
+ * @param {Array} events Buffered events.
+ * @returns {Array} Spans.
+ */
+function toSpans (events) {
+    let spans = {}
+    let order = []
+    events.forEach((ev, i) => {
+        let id = ev.viewId || ev.actionName + ':' + ev.timestamp + ':' + i
+        if (!spans[id]) {
+            spans[id] = {
+                traceId: toHexId(id, 4),
+                spanId: toHexId(id, 2, 4),
+                name: 'video.view',
+                kind: 1,
+                startTimeUnixNano: toUnixNano(ev.timestamp),
+                endTimeUnixNano: toUnixNano(ev.timestamp),
+                attributes: ev.viewId ? toKeyValues({ 'view.id': ev.viewId }) : [],
+                events: []
+            }
+            if (ev.viewId) {
+                spans[id].spanId = toHexId(id + ':' + ev.actionName + ':' + ev.timestamp, 2, 4)
+                spans[id].parentSpanId = toHexId(id, 2, 4)
+            }
+            order.push(id)
+        }
+        spans[id].endTimeUnixNano = toUnixNano(ev.timestamp)
+        spans[id].events.push({
+            timeUnixNano: toUnixNano(ev.timestamp),
+            name: ev.actionName,
+            attributes: toKeyValues(getEventAttributes(ev))
+        })
+    })
+    return order.map(id => spans[id])
+}
+
+/**
+ * Returns the attributes of given event, without the ones mapped to OTLP fields.
+ * @private
+ * @param {Object} ev Buffered event.
+ * @returns {Object} Attributes.
+ */
+function getEventAttributes (ev) {
+    let attributes = {}
+    for (let key in ev) {
+        if (key === 'actionName' || key === 'timestamp' || key === 'viewSession') continue
+        attributes[key === 'viewId' ? 'view.id' : key] = ev[key]
+    }
+    return attributes
+}
+
+/**
+ * Converts given attributes into an OTLP KeyValue list.
+ * @private
+ * @param {Object} attributes Attributes.
+ * @returns {Array} KeyValue list.
+ */
+function toKeyValues (attributes) {
+    let list = []
+    for (let key in attributes) {
+        let value = attributes[key]
+        if (value === null || typeof value === 'undefined') continue
+        list.push({ key: key, value: toAnyValue(value) })
+    }
+    return list
+}
+
+/**
+ * Converts given value into an OTLP AnyValue.
+ * @private
+ * @param {*} value Value.
+ * @returns {Object} AnyValue.
+ */
+function toAnyValue (value) {
+    if (typeof value === 'boolean') return { boolValue: value }
+    if (typeof value === 'number') {
+        // int64 values are encoded as strings in OTLP/JSON
+        return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value }
+    }
+    if (typeof value === 'string') return { stringValue: value }
+    return { stringValue: JSON.stringify(value) }
+}
+
+/**
+ * Converts given timestamp, in ms, to nanoseconds, as a string to keep its precision.
+ * @private
+ * @param {number} timestamp Timestamp in ms.
+ * @returns {String} Timestamp in ns.
+ */
+function toUnixNano (timestamp) {
+    return Math.floor(timestamp) + '000000'
+}
+
+/**
+ * Derives an hex ID from given string, using 32 bit FNV-1a with a different seed per word.
+ * @private
+ * @param {String} str String to hash.
+ * @param {number} words Number of 32 bit words. 4 for trace IDs, 2 for span IDs.
+ * @param {number} [seed] First seed, so trace and span IDs don't share words. Default 0.
+ * @returns {String} Hex ID.
+ */
+function toHexId (str, words, seed = 0) {
+    str = String(str)
+    let id = ''
+    for (let w = seed; w < seed + words; w++) {
+        let h = 0x811c9dc5 ^ w
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i)
+            h = Math.imul(h, 0x01000193)
+        }
+        id += ('0000000' + (h >>> 0).toString(16)).slice(-8)
+    }
+    return id
+}
+
+/**
+ * Enum for OTLP signals.
+ * @enum {String}
+ * @static
+ */
+OtlpBackend.Signals = {
+    /** Events are sent as log records. */
+    LOGS: 'logs',
+    /** Events are sent as span events, one span per view and harvest. */
+    TRACES: 'traces'
+}
+
+export default OtlpBackend
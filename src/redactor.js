@@ -0,0 +1,207 @@
+import Log from './log'
+
+/**
+ * Static class that removes personal data from event attributes before they are sent. It is
+ * applied by {@link Core.send} to every event, whatever the backend, and by the backends that add
+ * their own attributes.
+ *
+ * @example
+ * nrvideo.Redactor.configure({
+ *   allowQueryParams: ['quality'],
+ *   maskPatterns: [/[\w.+-]+@[\w-]+\.[\w.]+/g],
+ *   hashAttributes: ['userId']
+ * })
+ *
+ * @class
+ * @static
+ */
+class Redactor {
+  /**
+   * Sets the redaction rules. Replaces any previous configuration.
+   *
+   * @param {Object} [options] Redaction rules.
+   * @param {String[]} [options.urlAttributes] Attributes containing URLs, where query parameters
+   * are filtered. Default {@link Redactor.DEFAULT_URL_ATTRIBUTES}.
+   * @param {(Boolean|String[])} [options.stripQueryParams] True to remove the whole query string
+   * and fragment of URLs, or a list of query parameters to remove.
+   * @param {String[]} [options.allowQueryParams] Query parameters to keep, the rest are removed.
+   * Takes precedence over stripQueryParams.
+   * @param {Array} [options.maskPatterns] RegExps replaced in every string attribute. Items can
+   * also be objects { pattern, replacement, attributes } to set the replacement (default
+   * '[REDACTED]') or restrict the attributes checked.
+   * @param {String[]} [options.hashAttributes] Attributes replaced by their SHA-256 hash (hex),
+   * using SubtleCrypto. If it's not available, these attributes are removed.
+   */
+  static configure (options) {
+    options = options || {}
+    config = {
+      urlAttributes: options.urlAttributes || Redactor.DEFAULT_URL_ATTRIBUTES,
+      stripQueryParams: options.stripQueryParams || false,
+      allowQueryParams: options.allowQueryParams || null,
+      maskPatterns: (options.maskPatterns || []).map(normalizeMask),
+      hashAttributes: options.hashAttributes || []
+    }
+  }
+
+  /**
+   * Removes all redaction rules.
+   */
+  static reset () {
+    Redactor.configure()
+  }
+
+  /**
+   * Filters URL query parameters and masks values of given attributes, synchronously.
+   *
+   * @param {Object} data Attributes. They are modified in place.
+   * @returns {Object} Redacted attributes.
+   */
+  static redact (data) {
+    data = data || {}
+
+    if (config.stripQueryParams || config.allowQueryParams) {
+      config.urlAttributes.forEach((key) => {
+        if (typeof data[key] === 'string') data[key] = redactUrl(data[key])
+      })
+    }
+
+    if (config.maskPatterns.length > 0) {
+      for (let key in data) {
+        if (typeof data[key] !== 'string') continue
+        config.maskPatterns.forEach((mask) => {
+          if (!mask.attributes || mask.attributes.indexOf(key) !== -1) {
+            data[key] = data[key].replace(mask.pattern, mask.replacement)
+          }
+        })
+      }
+    }
+
+    return data
+  }
+
+  /**
+   * Returns true if some attributes have to be hashed, see {@link Redactor.hash}.
+   * @returns {Boolean} True if hashing is configured.
+   */
+  static isHashing () {
+    return config.hashAttributes.length > 0
+  }
+
+  /**
+   * Replaces the configured attributes by their SHA-256 hash.
+   *
+   * @param {Object} data Attributes. They are modified in place.
+   * @returns {Promise<Object>} Resolved with the redacted attributes.
+   */
+  static hash (data) {
+    data = data || {}
+    let keys = config.hashAttributes.filter(key => data[key] !== null && typeof data[key] !== 'undefined')
+    if (keys.length === 0) return Promise.resolve(data)
+
+    if (!isSubtleCryptoAvailable()) {
+      Log.warn('SubtleCrypto is not available, removing attributes that should be hashed.', keys)
+      keys.forEach((key) => { delete data[key] })
+      return Promise.resolve(data)
+    }
+
+    return Promise.all(keys.map((key) => {
+      return sha256(String(data[key])).then((hash) => { data[key] = hash })
+    })).then(() => data)
+  }
+}
+
+/**
+ * Attributes checked for URLs by default.
+ * @static
+ */
+Redactor.DEFAULT_URL_ATTRIBUTES = ['pageUrl', 'currentUrl', 'referrerUrl', 'contentSrc', 'adSrc']
+
+// PRIVATE MEMBERS
+
+let config
+
+/**
+ * Transforms a mask option into { pattern, replacement, attributes }.
+ *
+ * @private
+ * @param {(RegExp|Object)} mask Mask option.
+ * @returns {Object} Normalized mask.
+ */
+function normalizeMask (mask) {
+  if (mask instanceof RegExp) mask = { pattern: mask }
+  let flags = mask.pattern.flags.indexOf('g') === -1 ? mask.pattern.flags + 'g' : mask.pattern.flags
+  return {
+    pattern: new RegExp(mask.pattern.source, flags),
+    replacement: typeof mask.replacement === 'string' ? mask.replacement : '[REDACTED]',
+    attributes: mask.attributes || null
+  }
+}
+
+/**
+ * Removes the query parameters of given URL according to the configuration.
+ *
+ * @private
+ * @param {String} url URL.
+ * @returns {String} Redacted URL.
+ */
+function redactUrl (url) {
+  let fragmentIndex = url.indexOf('#')
+  let fragment = fragmentIndex === -1 ? '' : url.substring(fragmentIndex)
+  let rest = fragmentIndex === -1 ? url : url.substring(0, fragmentIndex)
+
+  if (config.stripQueryParams === true && !config.allowQueryParams) {
+    let queryIndex = rest.indexOf('?')
+    return queryIndex === -1 ? rest : rest.substring(0, queryIndex)
+  }
+
+  let queryIndex = rest.indexOf('?')
+  if (queryIndex === -1) return url
+
+  let params = rest.substring(queryIndex + 1).split('&').filter((param) => {
+    let name = param.split('=')[0]
+    try {
+      name = decodeURIComponent(name)
+    } catch (err) { /* keep raw name */ }
+    return isParamAllowed(name)
+  })
+
+  return rest.substring(0, queryIndex) + (params.length > 0 ? '?' + params.join('&') : '') + fragment
+}
+
+/**
+ * Returns true if given query parameter can be sent.
+ *
+ * @private
+ * @param {String} name Parameter name.
+ * @returns {Boolean} True if allowed.
+ */
+function isParamAllowed (name) {
+  if (config.allowQueryParams) return config.allowQueryParams.indexOf(name) !== -1
+  if (Array.isArray(config.stripQueryParams)) return config.stripQueryParams.indexOf(name) === -1
+  return true
+}
+
+/**
+ * Returns true if SubtleCrypto digest can be used.
+ * @private
+ */
+function isSubtleCryptoAvailable () {
+  return typeof crypto !== 'undefined' && crypto.subtle && typeof TextEncoder !== 'undefined'
+}
+
+/**
+ * Returns the SHA-256 hash of given string, in hex.
+ *
+ * @private
+ * @param {String} str String to hash.
+ * @returns {Promise<String>} Hash.
+ */
+function sha256 (str) {
+  return crypto.subtle.digest('SHA-256', new TextEncoder().encode(str)).then((buffer) => {
+    return Array.from(new Uint8Array(buffer)).map(b => ('0' + b.toString(16)).slice(-2)).join('')
+  })
+}
+
+Redactor.reset()
+
+export default Redactor
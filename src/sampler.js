@@ -0,0 +1,106 @@
+import Log from './log'
+
+/**
+ * Decides which events are sent, based on sampling rates. The decision is deterministic on the
+ * viewSession attribute, so either all the events of a view (of a given type) are kept, or none.
+ * Kept events carry a sampleRate attribute, so counts can be re-weighted in queries.
+ * Used by {@link Core.setSampling}.
+ */
+class Sampler {
+  /**
+   * Constructor, receives sampling rates.
+   *
+   * @param {Object} [options] Sampling options.
+   * @param {number} [options.rate] Rate applied to every event, from 0 (none) to 1 (all).
+   * Default 1.
+   * @param {Object} [options.rates] Rates by event name, overriding the global rate.
+   */
+  constructor (options) {
+    options = options || {}
+
+    /**
+     * Global rate.
+     * @private
+     */
+    this._rate = normalizeRate(options.rate)
+
+    /**
+     * Rates by event name.
+     * @private
+     */
+    this._rates = {}
+    for (let event in options.rates) {
+      this._rates[event] = normalizeRate(options.rates[event])
+    }
+  }
+
+  /**
+   * Returns the rate applied to given event.
+   *
+   * @param {String} event Event name.
+   * @returns {number} Sampling rate.
+   */
+  getRate (event) {
+    return event in this._rates ? this._rates[event] : this._rate
+  }
+
+  /**
+   * Returns true if the events of given view session are sampled in with given rate.
+   *
+   * @param {String} viewSession View session.
+   * @param {number} rate Sampling rate.
+   * @returns {Boolean} True if kept.
+   */
+  isSampled (viewSession, rate) {
+    if (rate >= 1) return true
+    if (rate <= 0) return false
+    return hash(String(viewSession)) < rate
+  }
+
+  /**
+   * Samples given event. Events without viewSession are always kept.
+   *
+   * @param {String} event Event name.
+   * @param {Object} data Data associated to the event.
+   * @returns {(Object|null)} Copy of data with the sampleRate attribute, or null if dropped.
+   */
+  sample (event, data) {
+    data = data || {}
+    let rate = data.viewSession ? this.getRate(event) : 1
+    if (!this.isSampled(data.viewSession, rate)) return null
+    return Object.assign({}, data, { sampleRate: rate })
+  }
+}
+
+/**
+ * Clamps given rate to [0, 1]. Defaults to 1.
+ *
+ * @private
+ * @param {number} rate Rate.
+ * @returns {number} Valid rate.
+ */
+function normalizeRate (rate) {
+  if (typeof rate !== 'number' || isNaN(rate)) {
+    if (typeof rate !== 'undefined') Log.warn('Invalid sampling rate, using 1.', rate)
+    return 1
+  }
+  return Math.min(1, Math.max(0, rate))
+}
+
+/**
+ * Maps given string to a number in [0, 1), using 32 bit FNV-1a.
+ *
+ * @private
+ * @param {String} str String to hash.
+ * @returns {number} Hash.
+ */
+function hash (str) {
+  let h = 0x811c9dc5
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i)
+    h = Math.imul(h, 0x01000193)
+  }
+  return (h >>> 0) / 4294967296
+}
+
+export default Sampler
@@ -0,0 +1,66 @@
+/**
+ * Static class that keeps supportability counters about the library itself, to find out why data
+ * goes missing. Counters are cumulative since the page was loaded, and named after what they
+ * count:
+ * - eventsEmitted: events that entered the pipeline, fired by the trackers added to Core or sent
+ *   with Core.send. Ad events funneled through the content tracker are counted once.
+ * - eventsSent: events delivered by backends.
+ * - eventsDropped.{reason}: events discarded, by reason. ie: eventsDropped.sampling.
+ *
+ * The NRVIDEO_SUPPORTABILITY events that report the counters are not counted themselves.
+ * - httpFailures.{status}: failed requests, by HTTP status, or 'network' if there was no response.
+ * - listenerExceptions: errors thrown by event listeners.
+ *
+ * Read them with {@link Core.getStats}.
+ *
+ * @class
+ * @static
+ */
+class Stats {
+  /**
+   * Increments given counter.
+   *
+   * @param {String} name Counter name.
+   * @param {number} [value] Amount to add. Default 1.
+   */
+  static increment (name, value) {
+    if (typeof value !== 'number') value = 1
+    if (value <= 0) return
+    counters[name] = (counters[name] || 0) + value
+  }
+
+  /**
+   * Returns a copy of the counters.
+   *
+   * @returns {Object} Counters, by name.
+   */
+  static get () {
+    return Object.assign({}, counters)
+  }
+
+  /** Resets all counters. */
+  static reset () {
+    counters = {}
+  }
+
+  /**
+   * Returns how many of given events the counters account for, that is, all but the
+   * NRVIDEO_SUPPORTABILITY events.
+   *
+   * @param {String[]} events Event names.
+   * @returns {number} Number of counted events.
+   */
+  static countEvents (events) {
+    return events.filter(event => event !== Stats.EVENT_NAME).length
+  }
+}
+
+/**
+ * Name of the event that reports the counters.
+ * @static
+ */
+Stats.EVENT_NAME = 'NRVIDEO_SUPPORTABILITY'
+
+let counters = {}
+
+export default Stats
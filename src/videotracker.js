@@ -43,6 +43,48 @@ class VideoTracker extends Tracker {
      */
     this._lastBufferType = null
 
+    /**
+     * Aggregates of the current content view, sent with CONTENT_SUMMARY. See {@link sendSummary}.
+     * @private
+     */
+    this._summary = null
+
+    /**
+     * Source of the current view, to detect source changes before the start.
+     * @private
+     */
+    this._requestedSrc = null
+
+    /**
+     * Frame counters of the last heartbeat. See {@link getPlaybackQuality}.
+     * @private
+     */
+    this._frameSample = null
+
+    /**
+     * FPS estimated with the last heartbeat.
+     * @private
+     */
+    this._fps = null
+
+    /**
+     * Playhead when the last content error happened, to detect recoveries on heartbeats.
+     * @private
+     */
+    this._errorPlayhead = null
+
+    // Report views left before the start when the page is hidden or unloaded
+    this._pageHideHandler = () => { this.sendExitBeforeStart() }
+
+    // Count the time the page is hidden during views
+    this._visibilityHandler = () => {
+      if (document.visibilityState === 'hidden') {
+        this.state.goBackground()
+      } else {
+        this.state.goForeground()
+      }
+    }
+
     options = options || {}
     this.setOptions(options)
     if (player) this.setPlayer(player, options.tag)
@@ -131,8 +173,13 @@ class VideoTracker extends Tracker {
 
   /**
    * Prepares tracker to dispose. Calls unregisterListener and drops references to player and tag.
+   * If a view is in progress, CONTENT_EXIT_BEFORE_START (or AD_EXIT_BEFORE_START) or
+   * CONTENT_SUMMARY are sent.
    */
   dispose () {
+    this.sendExitBeforeStart()
+    if (this._summary && this.state.isRequested) this.sendSummary()
+    removeVisibilityListener(this._visibilityHandler)
     this.stopHeartbeat()
     this.disposeAdsTracker()
     this.unregisterListeners()
@@ -340,8 +387,34 @@ class VideoTracker extends Tracker {
     return null
   }
 
-  /** Override to return current FPS (Frames per second). */
+  /**
+   * Override to return current FPS (Frames per second). By default, it is estimated with every
+   * heartbeat, from the frames decoded over the playtime since the last one, and is null if
+   * nothing was played. See {@link getPlaybackQuality}.
+   */
   getFps () {
+    return this._fps
+  }
+
+  /**
+   * Override to return the frame counters of the video, as { totalVideoFrames, droppedVideoFrames }.
+   * By default: this.tag.getVideoPlaybackQuality(), or webkitDecodedFrameCount and
+   * webkitDroppedFrameCount where it is not available.
+   * @returns {(Object|null)} Frame counters, or null if not available.
+   */
+  getPlaybackQuality () {
+    let tag = this.tag
+    if (!tag) return null
+    if (typeof tag.getVideoPlaybackQuality === 'function') {
+      let quality = tag.getVideoPlaybackQuality()
+      if (quality) {
+        return { totalVideoFrames: quality.totalVideoFrames, droppedVideoFrames: quality.droppedVideoFrames }
+      }
+    }
+    if (typeof tag.webkitDecodedFrameCount === 'number') {
+      let dropped = tag.webkitDroppedFrameCount || 0
+      return { totalVideoFrames: tag.webkitDecodedFrameCount + dropped, droppedVideoFrames: dropped }
+    }
     return null
   }
 
@@ -462,6 +535,16 @@ class VideoTracker extends Tracker {
 
     this.state.getStateAttributes(att)
 
+    if (this._summary) {
+      // Weight the previous bitrate with the playtime it lasted
+      let summary = this._summary
+      if (typeof summary.lastBitrate === 'number' && att.playtimeSinceLastEvent > 0) {
+        summary.bitrateSum += summary.lastBitrate * att.playtimeSinceLastEvent
+        summary.bitratePlaytime += att.playtimeSinceLastEvent
+      }
+      if (typeof att.contentBitrate === 'number') summary.lastBitrate = att.contentBitrate
+    }
+
     for (let key in this.customData) {
       att[key] = this.customData[key]
     }
@@ -500,11 +583,25 @@ class VideoTracker extends Tracker {
    * @param {Object} [att] Collection of key:value attributes to send with the request.
    */
   sendRequest (att) {
+    if (this.state.isRequested && !this.state.isStarted && this.getSrc() !== this._requestedSrc) {
+      // Source changed before the start, so the previous view is closed
+      this.sendExitBeforeStart()
+    }
     if (this.state.goRequest()) {
+      this._frameSample = takeFrameSample(this)
+      this._fps = null
+      if (!this.isAd()) {
+        this._summary = createSummary()
+        this._summary.frameSample = this._frameSample
+      }
+      this._requestedSrc = this.getSrc()
       let ev = this.isAd() ? VideoTracker.Events.AD_REQUEST : VideoTracker.Events.CONTENT_REQUEST
       this.send(ev, att)
       this.startHeartbeat()
       this.state.goHeartbeat()
+      addPageHideListener(this._pageHideHandler)
+      addVisibilityListener(this._visibilityHandler)
+      if (typeof document !== 'undefined' && document.visibilityState === 'hidden') this.state.goBackground()
     }
   }
 
@@ -515,42 +612,89 @@ class VideoTracker extends Tracker {
    */
   sendStart (att) {
     if (this.state.goStart()) {
+      removePageHideListener(this._pageHideHandler)
       let ev
       if (this.isAd()) {
         ev = VideoTracker.Events.AD_START
-        if (this.parentTracker) this.parentTracker.state.isPlaying = false
+        if (this.parentTracker) {
+          this.parentTracker.state.isPlaying = false
+          this.parentTracker.state.goAdInterruptionStart()
+        }
       } else {
         ev = VideoTracker.Events.CONTENT_START
+        if (this._summary) this._summary.startupTime = this.state.timeSinceRequested.getDeltaTime()
       }
       this.send(ev, att)
+      this.sendErrorRecovered()
     }
   }
 
   /**
    * Sends associated event and changes view state. An internal state machine will prevent
    * duplicated events. Should be associated to an event using registerListeners. Calls
-   * {@link stopHeartbeat}.
+   * {@link stopHeartbeat}. Content views also send CONTENT_SUMMARY, see {@link sendSummary}. The
+   * cumulative times of the view are attached, see {@link VideoTrackerState#getTotalTimeAttributes}.
    * @param {Object} [att] Collection of key:value attributes to send with the request.
    */
   sendEnd (att) {
     if (this.state.goEnd()) {
+      removePageHideListener(this._pageHideHandler)
+      removeVisibilityListener(this._visibilityHandler)
       att = att || {}
       let ev
       if (this.isAd()) {
         ev = VideoTracker.Events.AD_END
         att.timeSinceAdRequested = this.state.timeSinceRequested.getDeltaTime()
         att.timeSinceAdStarted = this.state.timeSinceStarted.getDeltaTime()
-        if (this.parentTracker) this.parentTracker.state.isPlaying = true
+        if (this.parentTracker) {
+          this.parentTracker.state.isPlaying = true
+          if (!this.state.isAdBreak) this.parentTracker.state.goAdInterruptionEnd()
+        }
       } else {
         ev = VideoTracker.Events.CONTENT_END
         att.timeSinceRequested = this.state.timeSinceRequested.getDeltaTime()
         att.timeSinceStarted = this.state.timeSinceStarted.getDeltaTime()
       }
+      this.state.getTotalTimeAttributes(att)
       this.stopHeartbeat()
       this.send(ev, att)
       if (this.parentTracker && this.isAd()) this.parentTracker.state.goLastAd()
-      this.state.goViewCountUp()
-      this.state.totalPlaytime = 0
+      closeView(this)
+    }
+  }
+
+  /**
+   * Sends CONTENT_EXIT_BEFORE_START (or AD_EXIT_BEFORE_START) and closes the view, if it was
+   * requested but didn't start. It is called on {@link dispose}, on pagehide, and by
+   * {@link sendRequest} when the source changes, but trackers can also call it when they know the
+   * user left. Attributes:
+   * - timeSinceRequested (timeSinceAdRequested for ads): time in ms since the request.
+   * - isBufferInProgress: true if the video was buffering.
+   * - isAdInProgress: content only, true if an ad was requested and not finished.
+   * @param {Object} [att] Collection of key:value attributes to send with the request.
+   */
+  sendExitBeforeStart (att) {
+    if (!this.state.isRequested || this.state.isStarted) return
+
+    let isBufferInProgress = this.state.isBuffering
+    if (this.state.goEnd()) {
+      removePageHideListener(this._pageHideHandler)
+      removeVisibilityListener(this._visibilityHandler)
+      att = att || {}
+      att.isBufferInProgress = isBufferInProgress
+      let ev
+      if (this.isAd()) {
+        ev = VideoTracker.Events.AD_EXIT_BEFORE_START
+        att.timeSinceAdRequested = this.state.timeSinceRequested.getDeltaTime()
+        if (this.parentTracker && !this.state.isAdBreak) this.parentTracker.state.goAdInterruptionEnd()
+      } else {
+        ev = VideoTracker.Events.CONTENT_EXIT_BEFORE_START
+        att.timeSinceRequested = this.state.timeSinceRequested.getDeltaTime()
+        att.isAdInProgress = !!(this.adsTracker && this.adsTracker.state.isRequested)
+      }
+      this.stopHeartbeat()
+      this.send(ev, att)
+      closeView(this)
     }
   }
 
@@ -583,6 +727,7 @@ class VideoTracker extends Tracker {
         att.timeSincePaused = this.state.timeSincePaused.getDeltaTime()
       }
       this.send(ev, att)
+      this.sendErrorRecovered()
     }
   }
 
@@ -603,7 +748,9 @@ class VideoTracker extends Tracker {
 
       att = this.buildBufferAttributes(att)
       this._lastBufferType = att.bufferType
-      
+      this.state.bufferType = att.bufferType
+      if (this._summary) countBuffering(this._summary, att.bufferType)
+
       this.send(ev, att)
     }
   }
@@ -633,6 +780,7 @@ class VideoTracker extends Tracker {
 
       this.send(ev, att)
       this.state.initialBufferingHappened = true
+      this.sendErrorRecovered()
     }
   }
   
@@ -686,6 +834,7 @@ class VideoTracker extends Tracker {
         att.timeSinceSeekBegin = this.state.timeSinceSeekBegin.getDeltaTime()
       }
       this.send(ev, att)
+      this.sendErrorRecovered()
     }
   }
 
@@ -703,16 +852,63 @@ class VideoTracker extends Tracker {
   }
 
   /**
-   * Sends associated event and changes view state. An internal state machine will prevent
-   * duplicated events. Should be associated to an event using registerListeners.
+   * Sends associated event and changes view state. Should be associated to an event using
+   * registerListeners. errorPhase is filled automatically: 'startup' if content didn't start yet,
+   * 'playback' if it did, and 'ad' for ads. Fatal errors close the view, like {@link sendEnd}
+   * but without sending *_END.
    * @param {Object} [att] Collection of key:value attributes to send with the request.
+   * @param {Boolean} [att.isFatal] True if the player can't go on. Default false.
+   * @param {(String|number)} [att.errorCode] Error code, as given by the player. Omitted if not
+   * given.
+   * @param {String} [att.errorDomain] Error source. ie: 'network', 'media', 'drm'. Omitted if not
+   * given.
    */
   sendError (att) {
     att = att || {}
     att.isAd = this.isAd()
+    if (this.isAd()) {
+      att.errorPhase = VideoTracker.ErrorPhases.AD
+    } else if (this.state.isStarted) {
+      att.errorPhase = VideoTracker.ErrorPhases.PLAYBACK
+    } else {
+      att.errorPhase = VideoTracker.ErrorPhases.STARTUP
+    }
+    att.isFatal = !!att.isFatal
+
     this.state.goError()
+    if (!this.isAd()) this._errorPlayhead = this.getPlayhead()
+    if (this._summary) this._summary.errorCount++
     let ev = this.isAd() ? VideoTracker.Events.AD_ERROR : VideoTracker.Events.CONTENT_ERROR
     this.send(ev, att)
+
+    if (att.isFatal) {
+      if (this.state.goEnd()) {
+        removePageHideListener(this._pageHideHandler)
+        removeVisibilityListener(this._visibilityHandler)
+        this.stopHeartbeat()
+        if (this.parentTracker && this.isAd()) {
+          this.parentTracker.state.isPlaying = true
+          if (!this.state.isAdBreak) this.parentTracker.state.goAdInterruptionEnd()
+          this.parentTracker.state.goLastAd()
+        }
+        closeView(this)
+      }
+    }
+  }
+
+  /**
+   * Sends CONTENT_ERROR_RECOVERED, with timeToRecover in ms, if there was an error and the video
+   * didn't recover yet. It is called when content starts, resumes, ends buffering or seeking, or
+   * sends a heartbeat after the playhead moved past the error, so there's no need to call this
+   * manually. Errors of ended views, fatal ones included, are never recovered.
+   * @param {Object} [att] Collection of key:value attributes to send with the request.
+   */
+  sendErrorRecovered (att) {
+    if (!this.isAd() && this.state.goErrorRecovered()) {
+      att = att || {}
+      att.timeToRecover = this.state.timeSinceLastError.getDeltaTime()
+      this.send(VideoTracker.Events.CONTENT_ERROR_RECOVERED, att)
+    }
   }
 
   /**
@@ -729,6 +925,11 @@ class VideoTracker extends Tracker {
       ev = VideoTracker.Events.AD_RENDITION_CHANGE
     } else {
       ev = VideoTracker.Events.CONTENT_RENDITION_CHANGE
+      if (this._summary) {
+        this._summary.renditionSwitchCount++
+        if (att.shift === 'up') this._summary.renditionUpSwitchCount++
+        if (att.shift === 'down') this._summary.renditionDownSwitchCount++
+      }
     }
     this.send(ev, att)
     this.state.goRenditionChange()
@@ -736,24 +937,93 @@ class VideoTracker extends Tracker {
 
   /**
    * Sends associated event and changes view state. Heartbeat will automatically be sent every
-   * 10 seconds. There's no need to call this manually.
+   * 10 seconds. There's no need to call this manually. The cumulative times of the view are
+   * attached, see {@link VideoTrackerState#getTotalTimeAttributes}. If frame counters are
+   * available, droppedFramesSinceLastHeartbeat and droppedFrameRatio are attached too, and FPS is
+   * estimated. See {@link getPlaybackQuality}. If the playhead moved past an unrecovered error,
+   * CONTENT_ERROR_RECOVERED is sent first.
    * @param {Object} [att] Collection of key:value attributes to send with the request.
    * @param {number} att.url Url of the clicked ad.
    *
    */
   sendHeartbeat (att) {
     if (this.state.isRequested) {
+      att = att || {}
+      let sample = takeFrameSample(this)
+      if (sample && this._frameSample) {
+        let frames = getFrameDelta(sample, this._frameSample)
+        att.droppedFramesSinceLastHeartbeat = frames.dropped
+        att.droppedFrameRatio = frames.total > 0 ? frames.dropped / frames.total : 0
+        this._fps = getFps(frames, sample.playtime - this._frameSample.playtime)
+      }
+      this._frameSample = sample
+
       let ev
       if (this.isAd()) {
         ev = VideoTracker.Events.AD_HEARTBEAT
       } else {
         ev = VideoTracker.Events.CONTENT_HEARTBEAT
+        if (this.state.isErrorUnrecovered && this.state.isStarted && hasPlayedSinceError(this)) {
+          this.sendErrorRecovered()
+        }
       }
+      att = this.state.getTotalTimeAttributes(att)
       this.send(ev, att)
       this.state.goHeartbeat()
     }
   }
 
+  /**
+   * Sends CONTENT_SUMMARY, with the aggregates of the current content view. It is called by
+   * {@link sendEnd}, {@link sendExitBeforeStart} and {@link dispose}, so there's no need to call
+   * this manually.
+   * Attributes:
+   * - startupTime: time in ms from CONTENT_REQUEST to CONTENT_START.
+   * - totalBufferingTime and bufferingCount, also split by bufferType. ie:
+   *   totalConnectionBufferingTime and connectionBufferingCount.
+   * - rebufferRatio: connection buffering time over playtime plus connection buffering time.
+   * - totalPausedTime, totalSeekTime, totalAdTime and totalBackgroundTime, in ms. See
+   *   {@link VideoTrackerState#getTotalTimeAttributes}.
+   * - renditionSwitchCount, renditionUpSwitchCount and renditionDownSwitchCount.
+   * - averageBitrate: content bitrate, weighted by playtime.
+   * - errorCount: number of content errors.
+   * - droppedFrames, droppedFrameRatio and averageFps, if frame counters are available. See
+   *   {@link getPlaybackQuality}.
+   * @param {Object} [att] Collection of key:value attributes to send with the request.
+   */
+  sendSummary (att) {
+    let summary = this._summary
+    if (!summary) return
+    this._summary = null
+
+    att = this.state.getTotalTimeAttributes(att)
+    att.startupTime = summary.startupTime
+    att.bufferingCount = 0
+    TrackerState.BUFFER_TYPES.forEach(type => {
+      att[type + 'BufferingCount'] = summary.bufferingCount[type]
+      att.bufferingCount += summary.bufferingCount[type]
+    })
+    let playtime = this.state.totalPlaytime + att.totalConnectionBufferingTime
+    att.rebufferRatio = playtime > 0 ? att.totalConnectionBufferingTime / playtime : 0
+    att.renditionSwitchCount = summary.renditionSwitchCount
+    att.renditionUpSwitchCount = summary.renditionUpSwitchCount
+    att.renditionDownSwitchCount = summary.renditionDownSwitchCount
+    if (summary.bitratePlaytime > 0) {
+      att.averageBitrate = Math.round(summary.bitrateSum / summary.bitratePlaytime)
+    } else {
+      att.averageBitrate = summary.lastBitrate
+    }
+    att.errorCount = summary.errorCount
+    let sample = takeFrameSample(this)
+    if (sample && summary.frameSample) {
+      let frames = getFrameDelta(sample, summary.frameSample)
+      att.droppedFrames = frames.dropped
+      att.droppedFrameRatio = frames.total > 0 ? frames.dropped / frames.total : 0
+      att.averageFps = getFps(frames, sample.playtime - summary.frameSample.playtime)
+    }
+    this.send(VideoTracker.Events.CONTENT_SUMMARY, att)
+  }
+
   // Only ads
   /**
    * Sends associated event and changes view state. An internal state machine will prevent
@@ -763,7 +1033,10 @@ class VideoTracker extends Tracker {
   sendAdBreakStart (att) {
     if (this.isAd() && this.state.goAdBreakStart()) {
       this.state.totalAdPlaytime = 0;
-      if (this.parentTracker) this.parentTracker.state.isPlaying = false
+      if (this.parentTracker) {
+        this.parentTracker.state.isPlaying = false
+        this.parentTracker.state.goAdInterruptionStart()
+      }
       this.send(VideoTracker.Events.AD_BREAK_START, att)
     }
   }
@@ -779,7 +1052,10 @@ class VideoTracker extends Tracker {
       att.timeSinceAdBreakBegin = this.state.timeSinceAdBreakStart.getDeltaTime()
       this.send(VideoTracker.Events.AD_BREAK_END, att)
       // Just in case AD_END not arriving, because of an AD_ERROR
-      if (this.parentTracker) this.parentTracker.state.isPlaying = true
+      if (this.parentTracker) {
+        this.parentTracker.state.isPlaying = true
+        this.parentTracker.state.goAdInterruptionEnd()
+      }
       this.stopHeartbeat()
       if (this.parentTracker && this.isAd()) this.parentTracker.state.goLastAd()
     }
@@ -857,6 +1133,12 @@ VideoTracker.Events = {
   CONTENT_RENDITION_CHANGE: 'CONTENT_RENDITION_CHANGE',
   /** Content video error. */
   CONTENT_ERROR: 'CONTENT_ERROR',
+  /** Aggregates of a content view, sent when it ends or the tracker is disposed. */
+  CONTENT_SUMMARY: 'CONTENT_SUMMARY',
+  /** Content video recovered from an error. */
+  CONTENT_ERROR_RECOVERED: 'CONTENT_ERROR_RECOVERED',
+  /** Content video was requested, but the user left before it started. */
+  CONTENT_EXIT_BEFORE_START: 'CONTENT_EXIT_BEFORE_START',
 
   // Ads only
   /** Ad video has been requested. */
@@ -883,6 +1165,8 @@ VideoTracker.Events = {
   AD_RENDITION_CHANGE: 'AD_RENDITION_CHANGE',
   /** Ad video error. */
   AD_ERROR: 'AD_ERROR',
+  /** Ad video was requested, but the user left before it started. */
+  AD_EXIT_BEFORE_START: 'AD_EXIT_BEFORE_START',
   /** Ad break (a block of ads) started. */
   AD_BREAK_START: 'AD_BREAK_START',
   /** Ad break ended. */
@@ -893,9 +1177,109 @@ VideoTracker.Events = {
   AD_CLICK: 'AD_CLICK'
 }
 
+/**
+ * Enumeration of errorPhase values of *_ERROR events.
+ *
+ * @static
+ * @memberof VideoTracker
+ * @enum {String}
+ */
+VideoTracker.ErrorPhases = {
+  /** Content error before the start. */
+  STARTUP: 'startup',
+  /** Content error after the start. */
+  PLAYBACK: 'playback',
+  /** Ad error. */
+  AD: 'ad'
+}
+
 // Private members
 function funnelAdEvents (e) {
   this.send(e.type, e.data)
 }
 
+// Sends the summary and moves to the next view, once the state is ended
+function closeView (tracker) {
+  if (!tracker.isAd()) tracker.sendSummary()
+  tracker.state.goViewCountUp()
+  tracker.state.totalPlaytime = 0
+}
+
+function addPageHideListener (handler) {
+  if (typeof window !== 'undefined' && window.addEventListener) {
+    // Capture, so it runs before the backends flush on the same event
+    window.addEventListener('pagehide', handler, true)
+  }
+}
+
+function removePageHideListener (handler) {
+  if (typeof window !== 'undefined' && window.removeEventListener) {
+    window.removeEventListener('pagehide', handler, true)
+  }
+}
+
+function addVisibilityListener (handler) {
+  if (typeof document !== 'undefined' && document.addEventListener) {
+    document.addEventListener('visibilitychange', handler)
+  }
+}
+
+function removeVisibilityListener (handler) {
+  if (typeof document !== 'undefined' && document.removeEventListener) {
+    document.removeEventListener('visibilitychange', handler)
+  }
+}
+
+function createSummary () {
+  let summary = {
+    startupTime: null,
+    bufferingCount: {},
+    renditionSwitchCount: 0,
+    renditionUpSwitchCount: 0,
+    renditionDownSwitchCount: 0,
+    frameSample: null,
+    lastBitrate: null,
+    bitrateSum: 0,
+    bitratePlaytime: 0,
+    errorCount: 0
+  }
+  TrackerState.BUFFER_TYPES.forEach(type => { summary.bufferingCount[type] = 0 })
+  return summary
+}
+
+function takeFrameSample (tracker) {
+  let quality = tracker.getPlaybackQuality()
+  if (!quality || typeof quality.totalVideoFrames !== 'number') return null
+  return {
+    total: quality.totalVideoFrames,
+    dropped: quality.droppedVideoFrames || 0,
+    playtime: tracker.state.getPlaytime()
+  }
+}
+
+function getFrameDelta (sample, lastSample) {
+  if (sample.total < lastSample.total) {
+    // Counters restart when the source is reloaded
+    return { total: sample.total, dropped: sample.dropped }
+  }
+  return { total: sample.total - lastSample.total, dropped: Math.max(0, sample.dropped - lastSample.dropped) }
+}
+
+// True if the playhead moved past the last content error
+function hasPlayedSinceError (tracker) {
+  let playhead = tracker.getPlayhead()
+  return typeof playhead === 'number' && typeof tracker._errorPlayhead === 'number' &&
+    playhead > tracker._errorPlayhead
+}
+
+// Frames per second over given playtime, or null if nothing was played
+function getFps (frames, playtime) {
+  if (frames.total > 0 && playtime > 0) return Math.round(frames.total / (playtime / 1000) * 100) / 100
+  return null
+}
+
+function countBuffering (summary, bufferType) {
+  summary.bufferingCount[TrackerState.getBufferType(bufferType)]++
+}
+
 export default VideoTracker
@@ -52,7 +52,8 @@ class VideoTrackerState {
     this.numberOfVideos = 0
 
     /**
-     * The amount of ms the user has been watching content (not paused, not buffering, not ads...)
+     * The amount of ms the user has been watching content (not paused, not buffering, not ads...),
+     * or the ad, for ad trackers.
      */
     this.totalPlaytime = 0
 
@@ -67,8 +68,12 @@ class VideoTrackerState {
     /** True if initial buffering event already happened. */
     this.initialBufferingHappened = false
 
+    /** Type of the current buffering. See {@link calculateBufferType}. */
+    this.bufferType = null
+
     this.resetFlags()
     this.resetChronos()
+    this.resetTotals()
   }
 
   /** Resets flags. */
@@ -93,6 +98,15 @@ class VideoTrackerState {
 
     /** True if the video is currently playing (not buffering, not paused...) */
     this.isPlaying = false
+
+    /** True if an error happened and the video didn't recover yet. */
+    this.isErrorUnrecovered = false
+
+    /** Content only. True if ads are interrupting the content. */
+    this.isAdInterruption = false
+
+    /** True if the page is hidden. */
+    this.isBackground = false
   }
 
   /** Resets chronos. */
@@ -118,6 +132,15 @@ class VideoTrackerState {
     /** Chrono that counts time since last download event. */
     this.timeSinceLastDownload = new Chrono()
 
+    /** Content only. Chrono that counts time since ads interrupted the content. */
+    this.timeSinceAdInterruptionBegin = new Chrono()
+
+    /** Chrono that counts time since the page was hidden. */
+    this.timeSinceBackgroundBegin = new Chrono()
+
+    /** Chrono that counts time since last error. */
+    this.timeSinceLastError = new Chrono()
+
     /** Chrono that counts time since last heartbeat. */
     this.timeSinceLastHeartbeat = new Chrono()
 
@@ -143,6 +166,25 @@ class VideoTrackerState {
     this.customTimeSinceAttributes = {}
   }
 
+  /** Resets the cumulative times of the view. */
+  resetTotals () {
+    /** The amount of ms the view has been buffering, by bufferType. */
+    this.totalBufferingTimeByType = {}
+    VideoTrackerState.BUFFER_TYPES.forEach(type => { this.totalBufferingTimeByType[type] = 0 })
+
+    /** The amount of ms the view has been paused. */
+    this.totalPausedTime = 0
+
+    /** The amount of ms the view has been seeking. */
+    this.totalSeekTime = 0
+
+    /** Content only. The amount of ms ads have interrupted the view. */
+    this.totalAdTime = 0
+
+    /** The amount of ms the page has been hidden during the view. */
+    this.totalBackgroundTime = 0
+  }
+
   /** Returns true if the tracker is currently on ads. */
   isAd () {
     return this._isAd
@@ -229,18 +271,18 @@ class VideoTrackerState {
     att.numberOfErrors = this.numberOfErrors
 
     // Playtime
+    let playtime = 0
+    if (this.playtimeSinceLastEvent.startTime > 0) {
+      playtime = this.playtimeSinceLastEvent.getDeltaTime()
+    }
+    if (this.isPlaying) {
+      this.playtimeSinceLastEvent.start()
+    } else {
+      this.playtimeSinceLastEvent.reset()
+    }
+    this.totalPlaytime += playtime
     if (!this.isAd()) { // Content only
-      if (this.playtimeSinceLastEvent.startTime > 0) {
-        att.playtimeSinceLastEvent = this.playtimeSinceLastEvent.getDeltaTime()
-      } else {
-        att.playtimeSinceLastEvent = 0
-      }
-      if (this.isPlaying) {
-        this.playtimeSinceLastEvent.start()
-      } else {
-        this.playtimeSinceLastEvent.reset()
-      }
-      this.totalPlaytime += att.playtimeSinceLastEvent
+      att.playtimeSinceLastEvent = playtime
       att.totalPlaytime = this.totalPlaytime
     }
 
@@ -251,6 +293,55 @@ class VideoTrackerState {
     return att
   }
 
+  /**
+   * Returns the playtime of the view, in ms, including the time played since the last event.
+   *
+   * @returns {number} Playtime in ms.
+   */
+  getPlaytime () {
+    let playtime = this.totalPlaytime
+    if (this.playtimeSinceLastEvent.startTime > 0) {
+      playtime += this.playtimeSinceLastEvent.getDeltaTime()
+    }
+    return playtime
+  }
+
+  /**
+   * Fills given object with the cumulative times of the view, including the ones in progress:
+   * totalBufferingTime, also by bufferType (ie: totalConnectionBufferingTime), totalPausedTime,
+   * totalSeekTime, totalBackgroundTime and, for content, totalAdTime.
+   *
+   * @param {object} att Collection fo key value attributes
+   * @return {object} Filled attributes
+   */
+  getTotalTimeAttributes (att) {
+    att = att || {}
+
+    att.totalBufferingTime = 0
+    VideoTrackerState.BUFFER_TYPES.forEach(type => {
+      let time = this.totalBufferingTimeByType[type]
+      if (this.isBuffering && VideoTrackerState.getBufferType(this.bufferType) === type) {
+        time += this.timeSinceBufferBegin.getDeltaTime()
+      }
+      att['total' + type.charAt(0).toUpperCase() + type.slice(1) + 'BufferingTime'] = time
+      att.totalBufferingTime += time
+    })
+
+    att.totalPausedTime = this.totalPausedTime
+    if (this.isPaused) att.totalPausedTime += this.timeSincePaused.getDeltaTime()
+    att.totalSeekTime = this.totalSeekTime
+    if (this.isSeeking) att.totalSeekTime += this.timeSinceSeekBegin.getDeltaTime()
+    att.totalBackgroundTime = this.totalBackgroundTime
+    if (this.isBackground) att.totalBackgroundTime += this.timeSinceBackgroundBegin.getDeltaTime()
+
+    if (!this.isAd()) {
+      att.totalAdTime = this.totalAdTime
+      if (this.isAdInterruption) att.totalAdTime += this.timeSinceAdInterruptionBegin.getDeltaTime()
+    }
+
+    return att
+  }
+
   /**
    * Calculate the bufferType attribute.
    * 
@@ -281,6 +372,7 @@ class VideoTrackerState {
    */
   goViewCountUp () {
     this._viewCount++
+    this.resetTotals()
   }
 
   /**
@@ -338,6 +430,16 @@ class VideoTrackerState {
    */
   goEnd () {
     if (this.isRequested) {
+      // Add the times in progress before resetting flags
+      if (this.isBuffering) {
+        let type = VideoTrackerState.getBufferType(this.bufferType)
+        this.totalBufferingTimeByType[type] += this.timeSinceBufferBegin.getDeltaTime()
+      }
+      if (this.isPaused) this.totalPausedTime += this.timeSincePaused.getDeltaTime()
+      if (this.isSeeking) this.totalSeekTime += this.timeSinceSeekBegin.getDeltaTime()
+      if (this.isBackground) this.totalBackgroundTime += this.timeSinceBackgroundBegin.getDeltaTime()
+      if (this.isAdInterruption) this.totalAdTime += this.timeSinceAdInterruptionBegin.getDeltaTime()
+
       this.numberOfErrors = 0
       this.resetFlags()
       this.timeSinceRequested.stop()
@@ -374,6 +476,7 @@ class VideoTrackerState {
     if (this.isStarted && this.isPaused) {
       this.isPaused = false
       this.isPlaying = true
+      this.totalPausedTime += this.timeSincePaused.getDeltaTime()
       this.timeSincePaused.stop()
       this.timeSinceResumed.start()
       return true
@@ -405,6 +508,8 @@ class VideoTrackerState {
     if (this.isRequested && this.isBuffering) {
       this.isBuffering = false
       this.isPlaying = true
+      let type = VideoTrackerState.getBufferType(this.bufferType)
+      this.totalBufferingTimeByType[type] += this.timeSinceBufferBegin.getDeltaTime()
       this.timeSinceBufferBegin.stop()
       return true
     } else {
@@ -436,6 +541,7 @@ class VideoTrackerState {
     if (this.isStarted && this.isSeeking) {
       this.isSeeking = false
       this.isPlaying = true
+      this.totalSeekTime += this.timeSinceSeekBegin.getDeltaTime()
       this.timeSinceSeekBegin.stop()
       this.timeSinceSeekEnd.start()
       return true
@@ -474,6 +580,64 @@ class VideoTrackerState {
     }
   }
 
+  /**
+   * Content only. Checks flags and changes state
+   * @returns {boolean} True if the state changed.
+   */
+  goAdInterruptionStart () {
+    if (!this.isAdInterruption) {
+      this.isAdInterruption = true
+      this.timeSinceAdInterruptionBegin.start()
+      return true
+    } else {
+      return false
+    }
+  }
+
+  /**
+   * Content only. Checks flags and changes state
+   * @returns {boolean} True if the state changed.
+   */
+  goAdInterruptionEnd () {
+    if (this.isAdInterruption) {
+      this.isAdInterruption = false
+      this.totalAdTime += this.timeSinceAdInterruptionBegin.getDeltaTime()
+      this.timeSinceAdInterruptionBegin.stop()
+      return true
+    } else {
+      return false
+    }
+  }
+
+  /**
+   * Checks flags and changes state
+   * @returns {boolean} True if the state changed.
+   */
+  goBackground () {
+    if (!this.isBackground) {
+      this.isBackground = true
+      this.timeSinceBackgroundBegin.start()
+      return true
+    } else {
+      return false
+    }
+  }
+
+  /**
+   * Checks flags and changes state
+   * @returns {boolean} True if the state changed.
+   */
+  goForeground () {
+    if (this.isBackground) {
+      this.isBackground = false
+      this.totalBackgroundTime += this.timeSinceBackgroundBegin.getDeltaTime()
+      this.timeSinceBackgroundBegin.stop()
+      return true
+    } else {
+      return false
+    }
+  }
+
   /**
    * Restarts download chrono.
    */
@@ -503,10 +667,26 @@ class VideoTrackerState {
   }
 
   /**
-   * Increments error counter.
+   * Increments error counter and restarts last error chrono.
    */
   goError () {
     this.numberOfErrors++
+    this.isErrorUnrecovered = true
+    this.timeSinceLastError.start()
+  }
+
+  /**
+   * Checks flags and changes state
+   * @returns {boolean} True if the state changed.
+   */
+  goErrorRecovered () {
+    if (this.isErrorUnrecovered) {
+      this.isErrorUnrecovered = false
+      this.timeSinceLastError.stop()
+      return true
+    } else {
+      return false
+    }
   }
 
   /**
@@ -515,6 +695,23 @@ class VideoTrackerState {
   goLastAd () {
     this.timeSinceLastAd.start()
   }
+
+  /**
+   * Returns the buffer type given bufferType is counted as. Buffers of unknown type are counted
+   * as connection buffers.
+   *
+   * @param {String} bufferType Buffer type, as given by the tracker.
+   * @returns {String} One of {@link VideoTrackerState.BUFFER_TYPES}.
+   */
+  static getBufferType (bufferType) {
+    return VideoTrackerState.BUFFER_TYPES.indexOf(bufferType) === -1 ? 'connection' : bufferType
+  }
 }
 
+/**
+ * Buffer types the buffering times and counts are split by.
+ * @static
+ */
+VideoTrackerState.BUFFER_TYPES = ['initial', 'seek', 'pause', 'connection']
+
 export default VideoTrackerState
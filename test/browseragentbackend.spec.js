@@ -0,0 +1,111 @@
+import BrowserAgentBackend from '../src/plugins/browseragentbackend'
+import Core from '../src/core'
+import Log from '../src/log'
+import chai from 'chai'
+import sinon from 'sinon'
+
+const expect = chai.expect
+
+describe('BrowserAgentBackend', () => {
+  let backend, clock, actions
+
+  const loadAgent = (recordCustomEvent) => {
+    global.newrelic = { addPageAction: (name, data) => actions.push({ name: name, data: data }) }
+    if (recordCustomEvent) {
+      global.newrelic.recordCustomEvent = (type, data) => actions.push({ type: type, data: data })
+    }
+  }
+
+  // Mute console
+  before(() => {
+    Log.level = Log.Levels.SILENT
+  })
+
+  after(() => {
+    Log.level = Log.Levels.ERROR
+  })
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers('setTimeout', 'clearTimeout', 'Date')
+    actions = []
+    backend = new BrowserAgentBackend()
+  })
+
+  afterEach(() => {
+    backend.dispose()
+    clock.restore()
+    delete global.newrelic
+  })
+
+  it('should send events right away if the agent is ready', () => {
+    loadAgent()
+    backend.send('A', { a: 1 })
+    expect(actions).to.deep.equal([{ name: 'A', data: { a: 1 } }])
+    expect(backend.getQueueLength()).to.equal(0)
+  })
+
+  it('should queue events until the agent is ready, keeping their timestamps', () => {
+    clock.tick(1000)
+    backend.send('A', {})
+    clock.tick(1000)
+    backend.send('B', {})
+    expect(backend.getQueueLength()).to.equal(2)
+
+    loadAgent()
+    clock.tick(500)
+    expect(actions.map(ac => ac.name)).to.deep.equal(['A', 'B'])
+    expect(actions.map(ac => ac.data.timestamp)).to.deep.equal([1000, 2000])
+    expect(backend.getQueueLength()).to.equal(0)
+  })
+
+  it('should send queued events before new ones', () => {
+    backend.send('A', {})
+    loadAgent()
+    backend.send('B', {})
+    expect(actions.map(ac => ac.name)).to.deep.equal(['A', 'B'])
+  })
+
+  it('should bound the queue size', () => {
+    backend = new BrowserAgentBackend({ maxQueueSize: 2 })
+    backend.send('A', {})
+    backend.send('B', {})
+    backend.send('C', {})
+    loadAgent()
+    backend.flush()
+    expect(actions.map(ac => ac.name)).to.deep.equal(['B', 'C'])
+  })
+
+  it('should discard expired events and stop polling', () => {
+    let error = sinon.spy(Log, 'error')
+    backend = new BrowserAgentBackend({ maxQueueAge: 1000 })
+    backend.send('A', {})
+    clock.tick(1500)
+    error.restore()
+
+    expect(backend.getQueueLength()).to.equal(0)
+    expect(error.calledOnce).to.be.true
+    expect(backend._pollTimeout).to.be.null
+  })
+
+  it('should send custom events if an event type is set', () => {
+    backend = new BrowserAgentBackend({ eventType: 'VideoAction' })
+    loadAgent(true)
+    backend.send('A', { a: 1 })
+    expect(actions).to.deep.equal([{ type: 'VideoAction', data: { a: 1, actionName: 'A' } }])
+  })
+
+  it('should fall back to page actions if the agent has no recordCustomEvent', () => {
+    backend = new BrowserAgentBackend({ eventType: 'VideoAction' })
+    loadAgent(false)
+    backend.send('A', {})
+    expect(actions[0].name).to.equal('A')
+  })
+
+  it('should be the default backend of Core', async () => {
+    await Core.setBackend(undefined)
+    Core.send('A', {})
+    loadAgent()
+    Core.send('B', {})
+    expect(actions.map(ac => ac.name)).to.deep.equal(['A', 'B'])
+  })
+})
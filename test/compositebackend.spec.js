@@ -0,0 +1,89 @@
+import CompositeBackend from '../src/plugins/compositebackend'
+import Backend from '../src/backend'
+import Log from '../src/log'
+import chai from 'chai'
+import sinon from 'sinon'
+
+const expect = chai.expect
+
+describe('CompositeBackend', () => {
+  let composite, a, b
+
+  // Mute console
+  before(() => {
+    Log.level = Log.Levels.SILENT
+  })
+
+  after(() => {
+    Log.level = Log.Levels.ERROR
+  })
+
+  beforeEach(() => {
+    a = new Backend()
+    b = new Backend()
+    sinon.spy(a, 'send')
+    sinon.spy(b, 'send')
+  })
+
+  it('should forward events to every backend', () => {
+    composite = new CompositeBackend([a, { backend: b }])
+    composite.send('EVENT', { x: 1 })
+    expect(a.send.calledWith('EVENT', { x: 1 })).to.be.true
+    expect(b.send.calledWith('EVENT', { x: 1 })).to.be.true
+    expect(a.send.firstCall.args[1]).to.not.equal(b.send.firstCall.args[1])
+  })
+
+  it('should add its attributes', () => {
+    composite = new CompositeBackend([a])
+    composite.setAttribute('tenant', 't1')
+    composite.send('EVENT', {})
+    expect(a.send.firstCall.args[1].tenant).to.equal('t1')
+  })
+
+  it('should filter events with allow and deny lists', () => {
+    composite = new CompositeBackend()
+    composite.addBackend(a, { allow: ['CONTENT_HEARTBEAT', /^AD_/] })
+    composite.addBackend(b, { deny: [/_HEARTBEAT$/] })
+    composite.send('CONTENT_HEARTBEAT', {})
+    composite.send('AD_START', {})
+    composite.send('CONTENT_START', {})
+
+    expect(a.send.args.map(args => args[0])).to.deep.equal(['CONTENT_HEARTBEAT', 'AD_START'])
+    expect(b.send.args.map(args => args[0])).to.deep.equal(['AD_START', 'CONTENT_START'])
+  })
+
+  it('should filter events with a predicate', () => {
+    composite = new CompositeBackend()
+    composite.addBackend(a, (event, data) => data.isAd === true)
+    composite.send('CONTENT_START', { isAd: false })
+    composite.send('AD_START', { isAd: true })
+    expect(a.send.calledOnce).to.be.true
+    expect(a.send.firstCall.args[0]).to.equal('AD_START')
+  })
+
+  it('should isolate failing backends', async () => {
+    a.send.restore()
+    a.send = () => { throw new Error('send') }
+    a.flush = () => Promise.reject(new Error('flush'))
+    a.stop = () => { throw new Error('stop') }
+    let stop = sinon.spy(b, 'stop')
+    composite = new CompositeBackend([a, b])
+
+    composite.send('EVENT', {})
+    expect(b.send.calledOnce).to.be.true
+    composite.stop()
+    expect(stop.calledOnce).to.be.true
+    expect(await composite.flush()).to.be.false
+  })
+
+  it('should manage the lifecycle of its backends', async () => {
+    let dispose = sinon.spy(b, 'dispose')
+    composite = new CompositeBackend([a, b])
+    expect(await composite.flush()).to.be.true
+    composite.dispose()
+    expect(dispose.calledOnce).to.be.true
+
+    composite.removeBackend(a)
+    expect(composite.getBackends()).to.deep.equal([b])
+  })
+})
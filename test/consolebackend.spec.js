@@ -0,0 +1,34 @@
+import ConsoleBackend from '../src/plugins/consolebackend'
+import chai from 'chai'
+import sinon from 'sinon'
+
+const expect = chai.expect
+
+describe('ConsoleBackend', () => {
+  beforeEach(() => {
+    sinon.stub(console, 'groupCollapsed')
+    sinon.stub(console, 'group')
+    sinon.stub(console, 'table')
+    sinon.stub(console, 'groupEnd')
+  })
+
+  afterEach(() => {
+    console.groupCollapsed.restore()
+    console.group.restore()
+    console.table.restore()
+    console.groupEnd.restore()
+  })
+
+  it('should print events as tables', () => {
+    new ConsoleBackend().send('EVENT', { b: 2, a: 1 })
+    expect(console.groupCollapsed.firstCall.args[0]).to.contain('EVENT')
+    expect(Object.keys(console.table.firstCall.args[0])).to.deep.equal(['a', 'b'])
+    expect(console.groupEnd.calledOnce).to.be.true
+  })
+
+  it('should print expanded groups', () => {
+    new ConsoleBackend({ collapsed: false }).send('EVENT', {})
+    expect(console.group.calledOnce).to.be.true
+    expect(console.groupCollapsed.called).to.be.false
+  })
+})
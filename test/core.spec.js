@@ -0,0 +1,465 @@
+import Core from '../src/core'
+import Backend from '../src/backend'
+import MemoryBackend from '../src/plugins/memorybackend'
+import BrowserAgentBackend from '../src/plugins/browseragentbackend'
+import Tracker from '../src/tracker'
+import VideoTracker from '../src/videotracker'
+import Redactor from '../src/redactor'
+import Stats from '../src/stats'
+import Log from '../src/log'
+import chai from 'chai'
+import sinon from 'sinon'
+
+const expect = chai.expect
+
+describe('Core', () => {
+  global.document = typeof global.document === 'undefined' ? {} : global.document
+
+  // Mute console
+  before(() => {
+    Log.level = Log.Levels.SILENT
+  })
+
+  after(() => {
+    Log.level = Log.Levels.ERROR
+  })
+
+  afterEach(() => {
+    return Core.setBackend(undefined)
+  })
+
+  describe('backend', () => {
+    it('should send events to the backend', () => {
+      let backend = new Backend()
+      let spy = sinon.spy(backend, 'send')
+      Core.setBackend(backend)
+      Core.send('EVENT', { a: 1 })
+      expect(spy.calledWith('EVENT', { a: 1 })).to.be.true
+    })
+
+    it('should flush and dispose the previous backend', async () => {
+      let previous = new Backend()
+      let stop = sinon.spy(previous, 'stop')
+      let flush = sinon.spy(previous, 'flush')
+      let dispose = sinon.spy(previous, 'dispose')
+      Core.setBackend(previous)
+      await Core.setBackend(new Backend())
+
+      expect(stop.called).to.be.true
+      expect(flush.calledOnce).to.be.true
+      expect(dispose.calledOnce).to.be.true
+      expect(flush.calledBefore(dispose)).to.be.true
+    })
+
+    it('should dispose the previous backend even if flush fails', async () => {
+      let previous = new Backend()
+      previous.flush = () => Promise.reject(new Error('flush'))
+      let dispose = sinon.spy(previous, 'dispose')
+      Core.setBackend(previous)
+      await Core.setBackend(new Backend())
+      expect(dispose.calledOnce).to.be.true
+    })
+
+    it('should dispose the default backend when a backend is set', async () => {
+      let clock = sinon.useFakeTimers('setTimeout', 'clearTimeout', 'Date')
+      let dispose = sinon.spy(BrowserAgentBackend.prototype, 'dispose')
+      try {
+        Core.send('EVENT', { a: 1 })
+        expect(clock.timers).to.not.be.empty
+        await Core.setBackend(new MemoryBackend())
+        expect(dispose.calledOnce).to.be.true
+        expect(dispose.firstCall.thisValue.getQueueLength()).to.equal(0)
+        expect(clock.timers).to.be.empty
+      } finally {
+        dispose.restore()
+        clock.restore()
+      }
+    })
+
+    it('should not dispose the backend when set again', async () => {
+      let backend = new Backend()
+      let dispose = sinon.spy(backend, 'dispose')
+      Core.setBackend(backend)
+      await Core.setBackend(backend)
+      expect(dispose.called).to.be.false
+      expect(Core.getBackend()).to.equal(backend)
+    })
+  })
+
+  describe('trackers', () => {
+    it('should deliver the events sent when a tracker is removed', () => {
+      let backend = new MemoryBackend()
+      let tracker = new VideoTracker()
+      Core.setBackend(backend)
+      Core.addTracker(tracker)
+      tracker.sendRequest()
+      tracker.sendStart()
+      Core.removeTracker(tracker)
+
+      expect(backend.getEventNames()).to.deep.equal(['CONTENT_REQUEST', 'CONTENT_START', 'CONTENT_SUMMARY'])
+      expect(Core.getTrackers()).to.not.include(tracker)
+    })
+
+    it('should deliver exits before start when a tracker is removed', () => {
+      let backend = new MemoryBackend()
+      let tracker = new VideoTracker(null, { adsTracker: new VideoTracker() })
+      Core.setBackend(backend)
+      Core.addTracker(tracker)
+      tracker.sendRequest()
+      tracker.adsTracker.sendRequest()
+      Core.removeTracker(tracker)
+
+      expect(backend.getEventNames()).to.deep.equal([
+        'CONTENT_REQUEST', 'AD_REQUEST', 'CONTENT_EXIT_BEFORE_START', 'CONTENT_SUMMARY', 'AD_EXIT_BEFORE_START'
+      ])
+    })
+  })
+
+  describe('middlewares', () => {
+    let backend, tracker
+
+    beforeEach(() => {
+      backend = new MemoryBackend()
+      tracker = new Tracker()
+      Core.setBackend(backend)
+      Core.addTracker(tracker)
+    })
+
+    afterEach(() => {
+      Core.removeTracker(tracker)
+    })
+
+    it('should run middlewares in order', () => {
+      let calls = []
+      let first = (eventName, data, t) => {
+        calls.push('first')
+        expect(t).to.equal(tracker)
+        data.a = 1
+      }
+      let second = (eventName, data) => {
+        calls.push('second')
+        data.b = data.a + 1
+      }
+      Core.use(first)
+      Core.use(second)
+      tracker.send('EVENT')
+      Core.removeMiddleware(first)
+      Core.removeMiddleware(second)
+
+      expect(calls).to.deep.equal(['first', 'second'])
+      expect(backend.getLastEvent().data.b).to.equal(2)
+    })
+
+    it('should replace events', () => {
+      let middleware = () => ({ eventName: 'RENAMED', data: { c: 3, d: null } })
+      Core.use(middleware)
+      tracker.send('EVENT', { a: 1 })
+      Core.removeMiddleware(middleware)
+
+      expect(backend.getLastEvent().type).to.equal('RENAMED')
+      expect(backend.getLastEvent().data).to.deep.equal({ c: 3 })
+    })
+
+    it('should drop events', () => {
+      let middleware = (eventName) => eventName !== 'DROP'
+      Core.use(middleware)
+      tracker.send('DROP')
+      tracker.send('KEEP')
+      Core.removeMiddleware(middleware)
+
+      expect(backend.getEventNames()).to.deep.equal(['KEEP'])
+    })
+
+    it('should isolate failing middlewares', () => {
+      let failing = () => { throw new Error('middleware') }
+      let next = (eventName, data) => { data.next = true }
+      Core.use(failing)
+      Core.use(next)
+      tracker.send('EVENT')
+      Core.removeMiddleware(failing)
+      Core.removeMiddleware(next)
+
+      expect(backend.getLastEvent().data.next).to.be.true
+    })
+
+    it('should run middlewares on events sent by Core', () => {
+      let calls = []
+      let middleware = (eventName, data, t) => {
+        calls.push([eventName, t])
+        data.tagged = true
+        return eventName !== 'DROP'
+      }
+      let payload = { a: 1 }
+      Core.use(middleware)
+      Core.send('EVENT', payload)
+      Core.sendError({ errorMessage: 'error' })
+      Core.send('DROP')
+      Core.removeMiddleware(middleware)
+
+      expect(calls).to.deep.equal([['EVENT', null], ['ERROR', null], ['DROP', null]])
+      expect(backend.getEventNames()).to.deep.equal(['EVENT', 'ERROR'])
+      expect(backend.getLastEvent('ERROR').data.tagged).to.be.true
+      expect(payload).to.deep.equal({ a: 1 })
+    })
+  })
+
+  describe('redaction', () => {
+    let backend
+
+    beforeEach(() => {
+      backend = new MemoryBackend()
+      Core.setBackend(backend)
+    })
+
+    afterEach(() => {
+      Redactor.reset()
+    })
+
+    it('should redact events without changing the original data', () => {
+      Redactor.configure({ stripQueryParams: true })
+      let data = { pageUrl: 'http://page.test/?session=1' }
+      Core.send('EVENT', data)
+      expect(backend.getLastEvent().data.pageUrl).to.equal('http://page.test/')
+      expect(data.pageUrl).to.equal('http://page.test/?session=1')
+    })
+
+    it('should redact events sent to the Browser Agent', () => {
+      let actions = []
+      global.newrelic = { addPageAction: (name, data) => actions.push(data) }
+      Core.setBackend(undefined)
+      Redactor.configure({ stripQueryParams: true })
+      Core.send('EVENT', { contentSrc: 'http://cdn.test/v.mp4?token=1' })
+      delete global.newrelic
+
+      expect(actions[0].contentSrc).to.equal('http://cdn.test/v.mp4')
+    })
+
+    it('should enforce Browser Agent limits', () => {
+      let actions = []
+      global.newrelic = { addPageAction: (name, data) => actions.push(data) }
+      Core.setBackend(undefined)
+      let data = {}
+      for (let i = 0; i < 100; i++) data['custom' + i] = i
+      Core.send('EVENT', data)
+      delete global.newrelic
+
+      expect(Object.keys(actions[0])).to.have.lengthOf(64)
+    })
+
+    it('should hash attributes keeping the order of events', async () => {
+      Redactor.configure({ hashAttributes: ['userId'] })
+      Core.send('A', { userId: 'abc' })
+      Core.send('B', {})
+      Redactor.reset()
+      Core.send('C', {})
+      expect(backend.getEvents()).to.be.empty
+
+      await new Promise((resolve) => setTimeout(resolve, 10))
+      expect(backend.getEventNames()).to.deep.equal(['A', 'B', 'C'])
+      expect(backend.getEvents()[0].data.userId).to.have.lengthOf(64)
+    })
+  })
+
+  describe('consent', () => {
+    let backend, clock
+
+    beforeEach(() => {
+      backend = new MemoryBackend()
+      Core.setBackend(backend)
+      clock = sinon.useFakeTimers('Date')
+    })
+
+    afterEach(() => {
+      clock.restore()
+      Core.setConsent(Core.Consent.GRANTED, { tcString: '', maxEvents: 500, maxAge: 1800000 })
+    })
+
+    it('should send events when granted', () => {
+      expect(Core.getConsent()).to.equal(Core.Consent.GRANTED)
+      Core.send('EVENT', {})
+      expect(backend.getEventNames()).to.deep.equal(['EVENT'])
+    })
+
+    it('should hold events until granted', () => {
+      Core.setConsent(Core.Consent.PENDING)
+      Core.send('A', {})
+      Core.send('B', {})
+      expect(backend.getEvents()).to.be.empty
+
+      Core.setConsent(Core.Consent.GRANTED, { tcString: 'TCSTRING' })
+      expect(backend.getEventNames()).to.deep.equal(['A', 'B'])
+      expect(backend.getLastEvent().data.tcString).to.equal('TCSTRING')
+    })
+
+    it('should discard events when denied', () => {
+      Core.setConsent(Core.Consent.PENDING)
+      Core.send('A', {})
+      Core.setConsent(Core.Consent.DENIED)
+      Core.send('B', {})
+      Core.setConsent(Core.Consent.GRANTED)
+      expect(backend.getEvents()).to.be.empty
+    })
+
+    it('should cap held events by number and age', () => {
+      Core.setConsent(Core.Consent.PENDING, { maxEvents: 2, maxAge: 1000 })
+      Core.send('A', {})
+      Core.send('B', {})
+      Core.send('C', {})
+      clock.tick(600)
+      Core.send('D', {})
+      clock.tick(600)
+      Core.setConsent(Core.Consent.GRANTED)
+      expect(backend.getEventNames()).to.deep.equal(['D'])
+    })
+
+    it('should ignore unknown states', () => {
+      Core.setConsent('maybe')
+      expect(Core.getConsent()).to.equal(Core.Consent.GRANTED)
+    })
+  })
+
+  describe('sampling', () => {
+    let backend
+
+    beforeEach(() => {
+      backend = new MemoryBackend()
+      Core.setBackend(backend)
+    })
+
+    afterEach(() => {
+      Core.setSampling()
+    })
+
+    it('should send sampled events with their rate', () => {
+      Core.setSampling({ rate: 1, rates: { CONTENT_HEARTBEAT: 0 } })
+      Core.send('CONTENT_START', { viewSession: 'a' })
+      Core.send('CONTENT_HEARTBEAT', { viewSession: 'a' })
+      expect(backend.getEventNames()).to.deep.equal(['CONTENT_START'])
+      expect(backend.getLastEvent().data.sampleRate).to.equal(1)
+    })
+
+    it('should not add sampleRate when sampling is disabled', () => {
+      Core.send('CONTENT_START', { viewSession: 'a' })
+      expect(backend.getLastEvent().data).to.not.have.property('sampleRate')
+    })
+  })
+
+  describe('stats', () => {
+    let backend, tracker
+
+    beforeEach(() => {
+      Stats.reset()
+      backend = new MemoryBackend()
+      tracker = new Tracker()
+      Core.setBackend(backend)
+      Core.addTracker(tracker)
+    })
+
+    afterEach(() => {
+      Core.removeTracker(tracker)
+      Core.setSampling()
+    })
+
+    it('should count emitted and dropped events', () => {
+      let drop = () => false
+      Core.use(drop)
+      tracker.send('A')
+      Core.removeMiddleware(drop)
+
+      Core.setSampling({ rate: 0 })
+      tracker.send('B', { viewSession: 'a' })
+
+      let stats = Core.getStats()
+      expect(stats.eventsEmitted).to.equal(2)
+      expect(stats['eventsDropped.middleware']).to.equal(1)
+      expect(stats['eventsDropped.sampling']).to.equal(1)
+    })
+
+    it('should count ad events funneled by the content tracker once', () => {
+      let videoTracker = new VideoTracker()
+      let adsTracker = new VideoTracker()
+      videoTracker.setAdsTracker(adsTracker)
+      Core.addTracker(videoTracker)
+      adsTracker.send('AD_START')
+      videoTracker.send('CONTENT_START')
+      Core.removeTracker(videoTracker)
+
+      expect(backend.getEventNames()).to.include.members(['AD_START', 'CONTENT_START'])
+      expect(Core.getStats().eventsEmitted).to.equal(backend.getEventNames().length)
+    })
+
+    it('should count events sent through Core', () => {
+      Core.send('A', {})
+      Core.sendError({ errorMessage: 'error' })
+      expect(Core.getStats().eventsEmitted).to.equal(2)
+    })
+
+    it('should count events dropped for lack of consent', () => {
+      Core.setConsent(Core.Consent.PENDING)
+      Core.send('A', {})
+      Core.setConsent(Core.Consent.DENIED)
+      Core.send('B', {})
+      Core.setConsent(Core.Consent.GRANTED)
+      expect(Core.getStats()['eventsDropped.consent']).to.equal(2)
+    })
+
+    it('should count listener exceptions', () => {
+      let listener = () => { throw new Error('listener') }
+      tracker.on('A', listener)
+      tracker.send('A')
+      tracker.off('A', listener)
+
+      expect(Core.getStats().listenerExceptions).to.equal(1)
+      expect(backend.getEventNames()).to.deep.equal(['A'])
+    })
+
+    it('should send the counters periodically', () => {
+      let trackers = []
+      let middleware = (eventName, data, t) => { trackers.push(t) }
+      let clock = sinon.useFakeTimers(Date.now(), 'Date')
+      Core.use(middleware)
+      Core.setStatsInterval(1000)
+      tracker.send('A')
+      clock.tick(1000)
+      tracker.send('B')
+      clock.tick(500)
+      tracker.send('C')
+      Core.setStatsInterval(60000)
+      Core.removeMiddleware(middleware)
+      clock.restore()
+
+      expect(backend.getEventNames()).to.deep.equal(['A', 'B', 'NRVIDEO_SUPPORTABILITY', 'C'])
+      expect(backend.getLastEvent('NRVIDEO_SUPPORTABILITY').data.eventsEmitted).to.equal(2)
+      expect(Core.getStats().eventsEmitted).to.equal(3)
+      expect(trackers).to.deep.equal([tracker, tracker, null, tracker])
+    })
+
+    it('should not send the counters without consent', () => {
+      let clock = sinon.useFakeTimers(Date.now(), 'Date')
+      Core.setStatsInterval(1000)
+      Core.setConsent(Core.Consent.DENIED)
+      tracker.send('A')
+      clock.tick(1000)
+      tracker.send('B')
+      Core.setConsent(Core.Consent.GRANTED)
+      Core.setStatsInterval(60000)
+      clock.restore()
+
+      expect(backend.getEventNames()).to.be.empty
+    })
+
+    it('should send the counters while trackers are idle', () => {
+      let clock = sinon.useFakeTimers(Date.now(), 'setInterval', 'clearInterval', 'Date')
+      Core.setStatsInterval(1000)
+      tracker.send('A')
+      clock.tick(1000)
+      clock.tick(1000)
+      Core.setStatsInterval(0)
+      clock.restore()
+      Core.setStatsInterval(60000)
+
+      expect(backend.getEventNames()).to.deep.equal(['A', 'NRVIDEO_SUPPORTABILITY'])
+      expect(backend.getLastEvent('NRVIDEO_SUPPORTABILITY').data.eventsEmitted).to.equal(1)
+    })
+  })
+})
@@ -0,0 +1,13 @@
+import EventMatcher from '../src/eventmatcher'
+import chai from 'chai'
+
+const expect = chai.expect
+
+describe('EventMatcher', () => {
+  it('should match event names and RegExps', () => {
+    expect(EventMatcher.matches(['CONTENT_START', /^AD_/], 'CONTENT_START')).to.be.true
+    expect(EventMatcher.matches(['CONTENT_START', /^AD_/], 'AD_END')).to.be.true
+    expect(EventMatcher.matches(['CONTENT_START', /^AD_/], 'CONTENT_END')).to.be.false
+    expect(EventMatcher.matches([], 'CONTENT_END')).to.be.false
+  })
+})
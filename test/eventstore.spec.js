@@ -0,0 +1,107 @@
+import MemoryEventStore from '../src/plugins/memoryeventstore'
+import LocalStorageEventStore from '../src/plugins/localstorageeventstore'
+import Log from '../src/log'
+import { mockLocalStorage } from './helpers/storage'
+import chai from 'chai'
+import sinon from 'sinon'
+
+const expect = chai.expect
+
+describe('EventStore', () => {
+  // Mute console
+  before(() => {
+    Log.level = Log.Levels.SILENT
+  })
+
+  after(() => {
+    Log.level = Log.Levels.ERROR
+  })
+
+  describe('MemoryEventStore', () => {
+    it('should save and load events', async () => {
+      let store = new MemoryEventStore()
+      let events = [{ a: 1 }, { b: 2 }]
+      await store.save(events)
+      events.push({ c: 3 })
+      expect(await store.load()).to.deep.equal([{ a: 1 }, { b: 2 }])
+      await store.clear()
+      expect(await store.load()).to.be.empty
+    })
+  })
+
+  describe('LocalStorageEventStore', () => {
+    let items
+
+    beforeEach(() => {
+      items = {}
+      mockLocalStorage(items)
+    })
+
+    afterEach(() => {
+      delete global.localStorage
+    })
+
+    it('should be available only if localStorage exists', () => {
+      expect(LocalStorageEventStore.isAvailable()).to.be.true
+      delete global.localStorage
+      expect(LocalStorageEventStore.isAvailable()).to.be.false
+    })
+
+    it('should save and load events', async () => {
+      let store = new LocalStorageEventStore('key')
+      await store.save([{ a: 1 }])
+      let record = JSON.parse(items['key/' + store.owner])
+      expect(record.owner).to.equal(store.owner)
+      expect(record.events).to.deep.equal([{ a: 1 }])
+      expect(await store.load()).to.deep.equal([{ a: 1 }])
+      await store.clear()
+      expect(items).to.be.empty
+    })
+
+    it('should keep the events of each owner apart', async () => {
+      let a = new LocalStorageEventStore('key')
+      let b = new LocalStorageEventStore('key')
+      await a.save([{ a: 1 }])
+      await b.save([{ b: 1 }])
+      expect(await a.load()).to.deep.equal([{ a: 1 }])
+      expect(await b.load()).to.deep.equal([{ b: 1 }])
+      expect(await b.claim(60000)).to.be.empty
+      expect(await a.load()).to.deep.equal([{ a: 1 }])
+    })
+
+    it('should claim released, expired and legacy records', async () => {
+      let clock = sinon.useFakeTimers(Date.now(), 'Date')
+      try {
+        let released = new LocalStorageEventStore('key')
+        let expired = new LocalStorageEventStore('key')
+        let live = new LocalStorageEventStore('key')
+        let claimer = new LocalStorageEventStore('key')
+        items.key = JSON.stringify([{ legacy: 1, timestamp: 1 }])
+        items.other = JSON.stringify([{ other: 1 }])
+        await expired.save([{ expired: 1, timestamp: 3 }])
+        clock.tick(60001)
+        await released.save([{ released: 1, timestamp: 2 }])
+        await released.release()
+        await live.save([{ live: 1, timestamp: 4 }])
+
+        expect(await claimer.claim(60000)).to.deep.equal([
+          { legacy: 1, timestamp: 1 },
+          { released: 1, timestamp: 2 },
+          { expired: 1, timestamp: 3 }
+        ])
+        expect(Object.keys(items)).to.have.members(['other', 'key/' + live.owner])
+        expect(await claimer.claim(60000)).to.be.empty
+      } finally {
+        clock.restore()
+      }
+    })
+
+    it('should ignore corrupted and failed storage', async () => {
+      let store = new LocalStorageEventStore('key')
+      items['key/' + store.owner] = '{corrupted'
+      expect(await store.load()).to.be.empty
+      global.localStorage.setItem = () => { throw new Error('QuotaExceededError') }
+      await store.save([{ a: 1 }])
+    })
+  })
+})
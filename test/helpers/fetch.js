@@ -0,0 +1,19 @@
+/**
+ * Returns a promise resolved once pending promise callbacks have run, so the fetch requests and
+ * store operations triggered by a harvest can settle.
+ * @returns {Promise} Promise.
+ */
+export const settle = () => new Promise((resolve) => setImmediate(resolve))
+
+/**
+ * Returns a fetch response with given status and headers.
+ * @param {number} status HTTP status.
+ * @param {Object} [headers] Response headers, by name.
+ * @returns {Promise<Object>} Response.
+ */
+export const response = (status, headers = {}) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status: status,
+  headers: { get: (name) => headers[name] || null },
+  json: () => Promise.resolve({})
+})
@@ -0,0 +1,13 @@
+/**
+ * Installs a global localStorage backed by given object, that holds the stored items by key.
+ * @param {Object} items Stored items.
+ */
+export const mockLocalStorage = (items) => {
+  global.localStorage = {
+    getItem: (key) => key in items ? items[key] : null,
+    setItem: (key, value) => { items[key] = String(value) },
+    removeItem: (key) => { delete items[key] },
+    key: (i) => Object.keys(items)[i],
+    get length () { return Object.keys(items).length }
+  }
+}
@@ -0,0 +1,110 @@
+import HttpBackend from '../src/plugins/httpbackend'
+import MemoryEventStore from '../src/plugins/memoryeventstore'
+import Log from '../src/log'
+import { settle, response } from './helpers/fetch'
+import chai from 'chai'
+import sinon from 'sinon'
+
+const expect = chai.expect
+
+describe('HttpBackend', () => {
+  let backend, clock, fetchStub
+
+  const create = (options) => {
+    backend = new HttpBackend('https://events.test/video', Object.assign({ store: new MemoryEventStore() }, options))
+    return backend
+  }
+
+  // Mute console
+  before(() => {
+    Log.level = Log.Levels.SILENT
+    fetchStub = global.fetch
+  })
+
+  after(() => {
+    Log.level = Log.Levels.ERROR
+    global.fetch = fetchStub
+  })
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers('setInterval', 'clearInterval', 'setTimeout', 'clearTimeout', 'Date')
+    clock.tick(1000)
+    global.fetch = sinon.stub().returns(response(200))
+  })
+
+  afterEach(() => {
+    backend.dispose()
+    clock.restore()
+  })
+
+  it('should send batches with the configured method and headers', async () => {
+    create({ method: 'put', headers: { 'X-App': 'web' } })
+    backend.send('A', { a: 1 })
+    backend.send('B', {})
+    clock.tick(10000)
+    await settle()
+
+    let [url, options] = fetch.firstCall.args
+    expect(url).to.equal('https://events.test/video')
+    expect(options.method).to.equal('PUT')
+    expect(options.headers).to.deep.equal({ 'Content-Type': 'application/json', 'X-App': 'web' })
+    expect(JSON.parse(options.body)).to.deep.equal([
+      { a: 1, actionName: 'A', timestamp: 1000 },
+      { actionName: 'B', timestamp: 1001 }
+    ])
+  })
+
+  it('should serialize NDJSON', () => {
+    create({ serializer: 'ndjson' })
+    expect(backend.getHeaders()['Content-Type']).to.equal('application/x-ndjson')
+    expect(backend.serialize([{ a: 1 }, { b: 2 }])).to.equal('{"a":1}\n{"b":2}\n')
+  })
+
+  it('should serialize form fields', () => {
+    create({ serializer: 'form' })
+    expect(backend.getHeaders()['Content-Type']).to.equal('application/x-www-form-urlencoded')
+    expect(backend.serialize([{ actionName: 'A B', n: 1 }, { ok: true }]))
+      .to.equal('events%5B0%5D%5BactionName%5D=A%20B&events%5B0%5D%5Bn%5D=1&events%5B1%5D%5Bok%5D=true')
+  })
+
+  it('should accept custom serializers', () => {
+    create({ serializer: events => 'count=' + events.length })
+    expect(backend.serialize([{}, {}])).to.equal('count=2')
+
+    backend.dispose()
+    create({ serializer: { contentType: 'text/csv', serialize: events => events.map(ev => ev.actionName).join(',') } })
+    expect(backend.getHeaders()['Content-Type']).to.equal('text/csv')
+    expect(backend.serialize([{ actionName: 'A' }, { actionName: 'B' }])).to.equal('A,B')
+  })
+
+  it('should get auth headers before every request', async () => {
+    let token = 0
+    create({ auth: () => Promise.resolve({ 'Authorization': 'Bearer ' + (++token) }) })
+    backend.send('A', {})
+    await backend.flush()
+    backend.send('B', {})
+    await backend.flush()
+
+    expect(fetch.firstCall.args[1].headers['Authorization']).to.equal('Bearer 1')
+    expect(fetch.secondCall.args[1].headers['Authorization']).to.equal('Bearer 2')
+  })
+
+  it('should send requests without auth headers if the callback fails', async () => {
+    create({ auth: () => Promise.reject(new Error('expired')) })
+    backend.send('A', {})
+    await backend.flush()
+
+    expect(fetch.calledOnce).to.be.true
+    expect(fetch.firstCall.args[1].headers['Authorization']).to.be.undefined
+  })
+
+  it('should retry failed requests', async () => {
+    create()
+    fetch.onFirstCall().returns(response(500))
+    backend.send('A', {})
+    await backend.flush()
+
+    expect(backend.isBackingOff()).to.be.true
+    expect(backend._eventBuffer).to.have.lengthOf(1)
+  })
+})
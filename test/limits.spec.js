@@ -0,0 +1,52 @@
+import Limits from '../src/limits'
+import Log from '../src/log'
+import chai from 'chai'
+import sinon from 'sinon'
+
+const expect = chai.expect
+
+describe('Limits', () => {
+  const limits = { maxAttributes: 4, maxNameLength: 10, maxValueLength: 5 }
+
+  // Mute console
+  before(() => {
+    Log.level = Log.Levels.SILENT
+  })
+
+  after(() => {
+    Log.level = Log.Levels.ERROR
+  })
+
+  it('should keep events within limits untouched', () => {
+    let data = { a: 1, b: 'short' }
+    expect(Limits.enforce(data, limits)).to.deep.equal(data)
+  })
+
+  it('should remove attributes in priority order', () => {
+    let warn = sinon.spy(Log, 'warn')
+    let data = Limits.enforce({ custom1: 1, custom2: 2, viewId: 'v', actionName: 'A', custom3: 3 }, limits)
+    warn.restore()
+
+    expect(Object.keys(data)).to.deep.equal(['actionName', 'viewId', 'custom1', 'custom2'])
+    expect(warn.calledOnce).to.be.true
+  })
+
+  it('should remove long names and truncate long values', () => {
+    let data = Limits.enforce({ aVeryLongAttributeName: 1, title: 'abcdefgh', n: 123456789 }, limits)
+    expect(data).to.deep.equal({ title: 'abcde', n: 123456789 })
+  })
+
+  it('should default to Insights limits', () => {
+    let data = { title: new Array(5000).join('a') }
+    expect(Limits.enforce(data).title).to.have.lengthOf(Limits.INSIGHTS.maxValueLength)
+  })
+
+  it('should count the events fitting in a request', () => {
+    let events = [{ a: 1 }, { b: 2 }, { c: 3 }] // 7 bytes each
+    expect(Limits.getBatchLength(events, 1000)).to.equal(3)
+    expect(Limits.getBatchLength(events, 1000, 2)).to.equal(2)
+    expect(Limits.getBatchLength(events, 18)).to.equal(2)
+    expect(Limits.getBatchLength(events, 1)).to.equal(1)
+    expect(Limits.byteLength('€')).to.equal(3)
+  })
+})
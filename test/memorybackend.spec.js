@@ -0,0 +1,66 @@
+import MemoryBackend from '../src/plugins/memorybackend'
+import Core from '../src/core'
+import VideoTracker from '../src/videotracker'
+import Log from '../src/log'
+import chai from 'chai'
+
+const expect = chai.expect
+
+describe('MemoryBackend', () => {
+  let backend
+  global.document = typeof global.document === 'undefined' ? {} : global.document
+
+  // Mute console
+  before(() => {
+    Log.level = Log.Levels.SILENT
+  })
+
+  after(() => {
+    Log.level = Log.Levels.ERROR
+  })
+
+  beforeEach(() => {
+    backend = new MemoryBackend()
+  })
+
+  it('should record events in order', () => {
+    backend.send('A', { viewId: '1' })
+    backend.send('B', { viewId: '2' })
+    backend.send('A', { viewId: '2' })
+
+    expect(backend.getEventNames()).to.deep.equal(['A', 'B', 'A'])
+    expect(backend.getEvents()[1].data.viewId).to.equal('2')
+    expect(backend.getEventsByName('A')).to.have.lengthOf(2)
+    expect(backend.getEventsByViewId('2').map(ev => ev.type)).to.deep.equal(['B', 'A'])
+    expect(backend.getLastEvent().data.viewId).to.equal('2')
+    expect(backend.getLastEvent('B').data.viewId).to.equal('2')
+    expect(backend.getLastEvent('C')).to.be.null
+  })
+
+  it('should keep a copy of the attributes', () => {
+    let data = { a: 1 }
+    backend.send('A', data)
+    data.a = 2
+    expect(backend.getLastEvent().data.a).to.equal(1)
+  })
+
+  it('should clear events', () => {
+    backend.send('A', {})
+    backend.clear()
+    expect(backend.getEvents()).to.be.empty
+  })
+
+  it('should record tracker events through Core', () => {
+    let tracker = new VideoTracker()
+    Core.setBackend(backend)
+    Core.addTracker(tracker)
+    tracker.sendRequest()
+    tracker.sendStart()
+    tracker.sendEnd()
+    Core.removeTracker(tracker)
+    Core.setBackend(undefined)
+
+    expect(backend.getEventNames()).to.deep.equal(['CONTENT_REQUEST', 'CONTENT_START', 'CONTENT_END', 'CONTENT_SUMMARY'])
+    expect(backend.getEventsByViewId(backend.getEvents()[0].data.viewId)).to.have.lengthOf(4)
+  })
+})
@@ -0,0 +1,635 @@
+import NRInsightsBackend from '../src/plugins/nrinsightsbackend'
+import MemoryEventStore from '../src/plugins/memoryeventstore'
+import LocalStorageEventStore from '../src/plugins/localstorageeventstore'
+import Log from '../src/log'
+import Redactor from '../src/redactor'
+import Stats from '../src/stats'
+import { settle, response } from './helpers/fetch'
+import { mockLocalStorage } from './helpers/storage'
+import chai from 'chai'
+import sinon from 'sinon'
+
+const expect = chai.expect
+
+describe('NRInsightsBackend', () => {
+  let backend, clock, globals
+
+  const okResponse = () => response(200)
+
+  before(() => {
+    Log.level = Log.Levels.SILENT
+    globals = { window: global.window, document: global.document, navigator: global.navigator, fetch: global.fetch }
+    global.window = { location: { href: 'http://test/page?a=1', origin: 'http://test', pathname: '/page' } }
+    global.document = Object.assign({}, global.document, { referrer: '' })
+    Object.defineProperty(global, 'navigator', { value: { userAgent: 'Chrome' }, configurable: true, writable: true })
+  })
+
+  after(() => {
+    Log.level = Log.Levels.ERROR
+    global.window = globals.window
+    global.document = globals.document
+    Object.defineProperty(global, 'navigator', { value: globals.navigator, configurable: true, writable: true })
+    global.fetch = globals.fetch
+  })
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers('setInterval', 'clearInterval', 'setTimeout', 'clearTimeout', 'Date')
+    global.fetch = sinon.stub().returns(okResponse())
+  })
+
+  afterEach(() => {
+    clock.restore()
+  })
+
+  describe('batching', () => {
+    it('should send buffered events in a single request, in order', async () => {
+      backend = new NRInsightsBackend('1', 'key')
+      backend.send('A', {})
+      backend.send('B', {})
+      backend.send('C', {})
+      clock.tick(10000)
+      await settle()
+
+      expect(fetch.callCount).to.equal(1)
+      let body = JSON.parse(fetch.firstCall.args[1].body)
+      expect(body.map(ev => ev.actionName)).to.deep.equal(['A', 'B', 'C'])
+      expect(backend._eventBuffer).to.be.empty
+    })
+
+    it('should split batches by number of events', async () => {
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo', { maxBatchSize: 2 })
+      for (let i = 0; i < 5; i++) backend.send('EV' + i, {})
+      clock.tick(10000)
+      await settle()
+
+      expect(fetch.callCount).to.equal(3)
+      expect(JSON.parse(fetch.getCall(0).args[1].body)).to.have.lengthOf(2)
+      expect(JSON.parse(fetch.getCall(2).args[1].body)[0].actionName).to.equal('EV4')
+    })
+
+    it('should split batches by size', () => {
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo', { maxBatchBytes: 10 })
+      backend.send('A', {})
+      backend.send('B', {})
+      expect(backend.takeBatch()).to.have.lengthOf(1)
+      expect(backend.takeBatch()).to.have.lengthOf(1)
+      expect(backend.takeBatch()).to.be.empty
+    })
+
+    it('should count sent events and failed requests', async () => {
+      Stats.reset()
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo', { maxBatchSize: 2 })
+      fetch.onSecondCall().returns(response(503))
+      for (let i = 0; i < 4; i++) backend.send('EV' + i, {})
+      clock.tick(10000)
+      await settle()
+
+      expect(Stats.get()['eventsSent']).to.equal(2)
+      expect(Stats.get()['httpFailures.503']).to.equal(1)
+    })
+
+    it('should not count sent supportability events', async () => {
+      Stats.reset()
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo')
+      backend.send('A', {})
+      backend.send('NRVIDEO_SUPPORTABILITY', {})
+      clock.tick(10000)
+      await settle()
+
+      expect(Stats.get()['eventsSent']).to.equal(1)
+    })
+
+    it('should put back failed events keeping their order', async () => {
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo', { maxBatchSize: 2 })
+      fetch.onSecondCall().returns(Promise.reject(new Error('network')))
+      for (let i = 0; i < 4; i++) backend.send('EV' + i, {})
+      clock.tick(10000)
+      await settle()
+
+      expect(fetch.callCount).to.equal(2)
+      expect(backend._eventBuffer.map(ev => ev.actionName)).to.deep.equal(['EV2', 'EV3'])
+      expect(backend._harvestLocked).to.be.false
+    })
+
+    it('should gzip requests', async () => {
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo', { gzip: true })
+      backend.send('A', {})
+      clock.tick(10000)
+      for (let i = 0; i < 50 && !fetch.called; i++) await settle()
+
+      let options = fetch.firstCall.args[1]
+      expect(options.headers['Content-Encoding']).to.equal('gzip')
+      let bytes = new Uint8Array(options.body)
+      expect(bytes[0]).to.equal(0x1f)
+      expect(bytes[1]).to.equal(0x8b)
+    })
+  })
+
+  describe('persistence', () => {
+    it('should persist buffered events', async () => {
+      let store = new MemoryEventStore()
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo', { store: store })
+      backend.send('A', {})
+      backend.send('B', {})
+      clock.tick(1000)
+      await settle()
+
+      let stored = await store.load()
+      expect(stored.map(ev => ev.actionName)).to.deep.equal(['A', 'B'])
+    })
+
+    it('should remove delivered events from the store', async () => {
+      let store = new MemoryEventStore()
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo', { store: store })
+      backend.send('A', {})
+      clock.tick(10000)
+      await settle()
+      clock.tick(1000)
+      await settle()
+
+      expect(await store.load()).to.be.empty
+    })
+
+    it('should replay stored events first, discarding expired ones', async () => {
+      let store = new MemoryEventStore()
+      clock.tick(50000)
+      await store.save([
+        { actionName: 'OLD', timestamp: Date.now() - 40000 },
+        { actionName: 'STORED', timestamp: Date.now() }
+      ])
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo', { store: store, maxEventAge: 30000 })
+      await settle()
+      backend.send('NEW', {})
+      clock.tick(10000)
+      await settle()
+
+      let body = JSON.parse(fetch.firstCall.args[1].body)
+      expect(body.map(ev => ev.actionName)).to.deep.equal(['STORED', 'NEW'])
+    })
+
+    it('should wait for the browser to be online', async () => {
+      let listeners = {}
+      global.window.addEventListener = (event, cb) => { listeners[event] = cb }
+      navigator.onLine = false
+      backend = new NRInsightsBackend('1', 'key')
+      backend.send('A', {})
+      clock.tick(10000)
+      await settle()
+      expect(fetch.called).to.be.false
+
+      navigator.onLine = true
+      listeners.online()
+      await settle()
+      expect(fetch.calledOnce).to.be.true
+      delete global.window.addEventListener
+    })
+  })
+
+  describe('flushing', () => {
+    let listeners
+
+    beforeEach(() => {
+      listeners = {}
+      global.window.addEventListener = (event, cb) => { listeners[event] = cb }
+      global.document.addEventListener = (event, cb) => { listeners[event] = cb }
+    })
+
+    afterEach(() => {
+      delete global.window.addEventListener
+      delete global.document.addEventListener
+      delete global.document.visibilityState
+    })
+
+    it('should flush buffered events', async () => {
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo', { maxBatchSize: 1 })
+      backend.send('A', {})
+      backend.send('B', {})
+      expect(await backend.flush()).to.be.true
+      expect(fetch.callCount).to.equal(2)
+    })
+
+    it('should wait for the harvest in progress', async () => {
+      backend = new NRInsightsBackend('1', 'key')
+      backend.send('A', {})
+      clock.tick(10000)
+      backend.send('B', {})
+      expect(await backend.flush()).to.be.true
+      expect(fetch.callCount).to.equal(2)
+    })
+
+    it('should resolve false if events could not be delivered', async () => {
+      fetch.returns(Promise.reject(new Error('network')))
+      backend = new NRInsightsBackend('1', 'key')
+      backend.send('A', {})
+      expect(await backend.flush()).to.be.false
+      expect(backend._eventBuffer).to.have.lengthOf(1)
+    })
+
+    it('should send a keepalive request on pagehide', () => {
+      backend = new NRInsightsBackend('1', 'key')
+      backend.send('A', {})
+      listeners.pagehide()
+
+      expect(fetch.firstCall.args[1].keepalive).to.be.true
+      expect(fetch.firstCall.args[1].headers['X-Insert-Key']).to.equal('key')
+      expect(backend._eventBuffer).to.be.empty
+    })
+
+    it('should only send on visibilitychange when hidden', () => {
+      backend = new NRInsightsBackend('1', 'key')
+      backend.send('A', {})
+      global.document.visibilityState = 'visible'
+      listeners.visibilitychange()
+      expect(fetch.called).to.be.false
+
+      global.document.visibilityState = 'hidden'
+      listeners.visibilitychange()
+      expect(fetch.calledOnce).to.be.true
+    })
+
+    it('should limit exit requests to the beacon size', () => {
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo', { maxBeaconBytes: 1000 })
+      for (let i = 0; i < 20; i++) backend.send('EV' + i, {})
+      backend.flushOnExit()
+
+      let body = fetch.firstCall.args[1].body
+      expect(body.length).to.be.at.most(1000)
+      expect(backend._eventBuffer).to.not.be.empty
+    })
+
+    it('should fall back to sendBeacon', () => {
+      let Request = global.Request
+      delete global.Request
+      navigator.sendBeacon = sinon.stub().returns(true)
+      backend = new NRInsightsBackend('1', 'key')
+      backend.send('A', {})
+      backend.flushOnExit()
+      global.Request = Request
+
+      expect(fetch.called).to.be.false
+      expect(navigator.sendBeacon.firstCall.args[0]).to.contain('Api-Key=key')
+      expect(backend._eventBuffer).to.be.empty
+      delete navigator.sendBeacon
+    })
+  })
+
+  describe('retrying', () => {
+    it('should retry 5xx responses with exponential backoff', async () => {
+      sinon.stub(Math, 'random').returns(1)
+      fetch.returns(response(503))
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo', { retryBaseDelay: 1000 })
+      backend.send('A', {})
+      clock.tick(10000)
+      await settle()
+      expect(fetch.callCount).to.equal(1)
+      expect(backend.isBackingOff()).to.be.true
+      expect(backend._eventBuffer).to.have.lengthOf(1)
+
+      clock.tick(1000)
+      await settle()
+      expect(fetch.callCount).to.equal(2)
+
+      // Second failure doubles the delay
+      clock.tick(1000)
+      await settle()
+      expect(fetch.callCount).to.equal(2)
+      fetch.returns(okResponse())
+      clock.tick(1000)
+      await settle()
+      expect(fetch.callCount).to.equal(3)
+      expect(backend.isBackingOff()).to.be.false
+      expect(backend._retryAttempts).to.equal(0)
+      expect(backend._eventBuffer).to.be.empty
+      Math.random.restore()
+    })
+
+    it('should pause the harvest timer while backing off', async () => {
+      fetch.returns(response(500))
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo', { retryBaseDelay: 60000 })
+      backend.send('A', {})
+      clock.tick(10000)
+      await settle()
+      clock.tick(20000)
+      await settle()
+      expect(fetch.callCount).to.equal(1)
+      expect(await backend.flush()).to.be.false
+      expect(fetch.callCount).to.equal(1)
+    })
+
+    it('should honor Retry-After', async () => {
+      fetch.onFirstCall().returns(response(429, { 'Retry-After': '30' }))
+      backend = new NRInsightsBackend('1', 'key')
+      backend.send('A', {})
+      clock.tick(10000)
+      await settle()
+      clock.tick(29000)
+      await settle()
+      expect(fetch.callCount).to.equal(1)
+      clock.tick(1000)
+      await settle()
+      expect(fetch.callCount).to.equal(2)
+    })
+
+    it('should cap Retry-After with the max retry delay', async () => {
+      fetch.onFirstCall().returns(response(503, { 'Retry-After': '86400' }))
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo', { retryMaxDelay: 60000 })
+      backend.send('A', {})
+      clock.tick(10000)
+      await settle()
+      clock.tick(59000)
+      await settle()
+      expect(fetch.callCount).to.equal(1)
+      clock.tick(1000)
+      await settle()
+      expect(fetch.callCount).to.equal(2)
+    })
+
+    it('should discard events rejected with 4xx', async () => {
+      fetch.onFirstCall().returns(response(413))
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo', { maxBatchSize: 1 })
+      let spy = sinon.spy(backend, 'discardEvents')
+      backend.send('A', {})
+      backend.send('B', {})
+      clock.tick(10000)
+      await settle()
+
+      expect(spy.calledOnce).to.be.true
+      expect(spy.firstCall.args[0][0].actionName).to.equal('A')
+      expect(spy.firstCall.args[1]).to.equal(413)
+      expect(fetch.callCount).to.equal(2)
+      expect(backend.isBackingOff()).to.be.false
+      expect(backend._eventBuffer).to.be.empty
+    })
+  })
+
+  describe('endpoint', () => {
+    it('should use the region collector', () => {
+      expect(new NRInsightsBackend('1', 'key').getCollectorUrl())
+        .to.equal('https://insights-collector.newrelic.com/v1/accounts/1/events')
+      expect(new NRInsightsBackend('1', 'key', 'BrowserVideo', { region: 'EU' }).getCollectorUrl())
+        .to.equal('https://insights-collector.eu01.nr-data.net/v1/accounts/1/events')
+      expect(new NRInsightsBackend('1', 'key', 'BrowserVideo', { region: 'FEDRAMP' }).getCollectorUrl())
+        .to.equal('https://gov-insights-collector.newrelic.com/v1/accounts/1/events')
+      expect(new NRInsightsBackend('1', 'key', 'BrowserVideo', { region: 'XX' }).getCollectorUrl())
+        .to.equal('https://insights-collector.newrelic.com/v1/accounts/1/events')
+    })
+
+    it('should use a custom url and headers', async () => {
+      backend = new NRInsightsBackend('1', null, 'BrowserVideo', {
+        url: 'https://proxy.test/{accountId}/events',
+        headers: { 'X-Proxy-Token': 'token' }
+      })
+      backend.send('A', {})
+      await backend.flush()
+
+      expect(fetch.firstCall.args[0]).to.equal('https://proxy.test/1/events')
+      let headers = fetch.firstCall.args[1].headers
+      expect(headers['X-Proxy-Token']).to.equal('token')
+      expect(headers).to.not.have.property('X-Insert-Key')
+    })
+
+    it('should change account and key at runtime', async () => {
+      backend = new NRInsightsBackend('1', 'key')
+      backend.setAccountId('2')
+      backend.setApiKey('key2')
+      backend.send('A', {})
+      await backend.flush()
+
+      expect(fetch.firstCall.args[0]).to.contain('/accounts/2/')
+      expect(fetch.firstCall.args[1].headers['X-Insert-Key']).to.equal('key2')
+    })
+  })
+
+  describe('overflow', () => {
+    const names = () => backend._eventBuffer.map(ev => ev.actionName)
+
+    it('should discard the oldest event with the lowest priority by default', () => {
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo', { maxBufferSize: 2 })
+      backend.send('CONTENT_START', {})
+      backend.send('CONTENT_PAUSE', {})
+      backend.send('CONTENT_RESUME', {})
+      expect(names()).to.deep.equal(['CONTENT_START', 'CONTENT_RESUME'])
+      expect(backend.getDroppedEvents()).to.equal(1)
+    })
+
+    it('should discard heartbeats first, and keep errors and lifecycle events', () => {
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo', { maxBufferSize: 3 })
+      backend.send('CONTENT_HEARTBEAT', {})
+      backend.send('CONTENT_PAUSE', {})
+      backend.send('CONTENT_HEARTBEAT', {})
+      backend.send('CONTENT_ERROR', {})
+      backend.send('CONTENT_END', {})
+      expect(names()).to.deep.equal(['CONTENT_PAUSE', 'CONTENT_ERROR', 'CONTENT_END'])
+
+      backend.send('CONTENT_HEARTBEAT', {})
+      expect(names()).to.deep.equal(['CONTENT_PAUSE', 'CONTENT_ERROR', 'CONTENT_END'])
+      expect(backend.getDroppedEvents()).to.equal(3)
+    })
+
+    it('should discard new events with the drop-newest policy', () => {
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo', { maxBufferSize: 2, overflowPolicy: 'drop-newest' })
+      backend.send('CONTENT_HEARTBEAT', {})
+      backend.send('CONTENT_HEARTBEAT', {})
+      backend.send('CONTENT_END', {})
+      expect(names()).to.deep.equal(['CONTENT_HEARTBEAT', 'CONTENT_HEARTBEAT'])
+    })
+
+    it('should discard oldest events with the drop-oldest policy', () => {
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo', { maxBufferSize: 2, overflowPolicy: 'drop-oldest' })
+      backend.send('A', {})
+      backend.send('B', {})
+      backend.send('C', {})
+      expect(names()).to.deep.equal(['B', 'C'])
+    })
+
+    it('should report the dropped events count in the next batch', async () => {
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo', { maxBufferSize: 1 })
+      backend.send('A', {})
+      backend.send('B', {})
+      clock.tick(10000)
+      await settle()
+      backend.send('C', {})
+      clock.tick(10000)
+      await settle()
+
+      expect(JSON.parse(fetch.firstCall.args[1].body)[0].droppedEvents).to.equal(1)
+      expect(JSON.parse(fetch.secondCall.args[1].body)[0].droppedEvents).to.be.undefined
+    })
+  })
+
+  describe('lifecycle', () => {
+    it('should stop and start harvesting', async () => {
+      backend = new NRInsightsBackend('1', 'key')
+      backend.stop()
+      backend.send('A', {})
+      clock.tick(20000)
+      await settle()
+      expect(fetch.called).to.be.false
+
+      backend.start()
+      clock.tick(10000)
+      await settle()
+      expect(fetch.calledOnce).to.be.true
+    })
+
+    it('should remove page listeners when stopped', () => {
+      let listeners = {}
+      global.window.addEventListener = (event, cb) => { listeners[event] = cb }
+      global.window.removeEventListener = (event, cb) => {
+        if (listeners[event] === cb) delete listeners[event]
+      }
+      backend = new NRInsightsBackend('1', 'key')
+      expect(listeners).to.have.all.keys('online', 'pagehide', 'pageshow')
+      backend.stop()
+      expect(listeners).to.be.empty
+      delete global.window.addEventListener
+      delete global.window.removeEventListener
+    })
+
+    describe('shared storage', () => {
+      let items
+
+      beforeEach(() => {
+        items = {}
+        mockLocalStorage(items)
+        global.fetch = sinon.stub().returns(response(500))
+      })
+
+      afterEach(() => {
+        delete global.localStorage
+      })
+
+      const create = () => new NRInsightsBackend('1', 'key', 'BrowserVideo', {
+        store: new LocalStorageEventStore('nrvideo-events'),
+        storeLeaseTime: 60000
+      })
+
+      it('should not restore events of live backends', async () => {
+        let a = create()
+        a.send('A', {})
+        clock.tick(1000)
+        await settle()
+
+        let b = create()
+        b.send('B', {})
+        clock.tick(1000)
+        await settle()
+        expect(b._eventBuffer.map(ev => ev.actionName)).to.deep.equal(['B'])
+        expect(a._eventBuffer.map(ev => ev.actionName)).to.deep.equal(['A'])
+        expect(Object.keys(items)).to.have.lengthOf(2)
+
+        // The lease of A is renewed, so B never claims its events
+        clock.tick(120000)
+        await settle()
+        expect(b._eventBuffer.map(ev => ev.actionName)).to.deep.equal(['B'])
+        a.dispose()
+        b.dispose()
+      })
+
+      it('should claim events of disposed backends', async () => {
+        let a = create()
+        let b = create()
+        a.send('A', {})
+        a.dispose()
+        await settle()
+
+        clock.tick(20000)
+        await settle()
+        expect(b._eventBuffer.map(ev => ev.actionName)).to.deep.equal(['A'])
+        expect(Object.keys(items)).to.deep.equal(['nrvideo-events/' + b._store.owner])
+        b.dispose()
+      })
+
+      it('should store restored orphaned events under the new owner', async () => {
+        clock.tick(1000)
+        items['nrvideo-events'] = JSON.stringify([{ actionName: 'A', timestamp: Date.now() }])
+        let b = create()
+        await settle()
+
+        expect(b._eventBuffer.map(ev => ev.actionName)).to.deep.equal(['A'])
+        expect(Object.keys(items)).to.deep.equal(['nrvideo-events/' + b._store.owner])
+        expect(await b._store.load()).to.deep.equal(b._eventBuffer)
+        b.dispose()
+      })
+    })
+
+    it('should use the store key', () => {
+      global.localStorage = {}
+      backend = new NRInsightsBackend('1', 'key', null, { storeKey: 'other' })
+      expect(backend._store._key).to.equal('nrvideo-other')
+      delete global.localStorage
+    })
+
+    it('should keep undelivered events stored when disposed', async () => {
+      let store = new MemoryEventStore()
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo', { store: store })
+      backend.send('A', {})
+      backend.dispose()
+      await settle()
+      expect(backend._eventBuffer).to.be.empty
+      expect(await store.load()).to.have.lengthOf(1)
+
+      // Disposed backends can't be restarted
+      backend.start()
+      clock.tick(10000)
+      await settle()
+      expect(fetch.called).to.be.false
+    })
+  })
+
+  describe('attributes', () => {
+    it('should redact backend attributes', () => {
+      Redactor.configure({ stripQueryParams: true })
+      backend = new NRInsightsBackend('1', 'key')
+      backend.send('A', {})
+      Redactor.reset()
+
+      expect(backend._eventBuffer[0].pageUrl).to.equal('http://test/page')
+    })
+
+    it('should enforce Insights limits', () => {
+      backend = new NRInsightsBackend('1', 'key')
+      let data = {}
+      for (let i = 0; i < 300; i++) data['custom' + i] = i
+      data.title = new Array(5000).join('a')
+      backend.send('A', data)
+
+      let ev = backend._eventBuffer[0]
+      expect(Object.keys(ev)).to.have.lengthOf(255)
+      expect(ev.actionName).to.equal('A')
+      expect(ev.eventType).to.equal('VideoCustomAction')
+      expect(ev.timestamp).to.not.be.undefined
+    })
+
+    it('should route events to event types by category', () => {
+      backend = new NRInsightsBackend('1', 'key')
+      ;['CONTENT_START', 'HEARTBEAT', 'AD_START', 'AD_ERROR', 'CONTENT_ERROR', 'ERROR', 'MY_EVENT',
+        'NRVIDEO_SUPPORTABILITY'].forEach(event => backend.send(event, {}))
+
+      expect(backend._eventBuffer.map(ev => ev.eventType)).to.deep.equal([
+        'VideoAction', 'VideoAction', 'VideoAdAction', 'VideoErrorAction', 'VideoErrorAction',
+        'VideoErrorAction', 'VideoCustomAction', 'VideoSupportability'
+      ])
+    })
+
+    it('should send every event to the given event type', () => {
+      backend = new NRInsightsBackend('1', 'key', 'BrowserVideo')
+      backend.send('CONTENT_START', {})
+      backend.send('AD_ERROR', {})
+      expect(backend._eventBuffer.map(ev => ev.eventType)).to.deep.equal(['BrowserVideo', 'BrowserVideo'])
+    })
+
+    it('should accept custom routing rules', () => {
+      backend = new NRInsightsBackend('1', 'key', 'Other', {
+        eventTypes: [
+          { eventType: 'Ads', events: [/^AD_/, 'AD_CLICK'] },
+          { eventType: 'Live', events: (event, data) => data.contentIsLive }
+        ]
+      })
+      backend.send('AD_START', {})
+      backend.send('CONTENT_START', { contentIsLive: true })
+      backend.send('CONTENT_START', {})
+      expect(backend._eventBuffer.map(ev => ev.eventType)).to.deep.equal(['Ads', 'Live', 'Other'])
+    })
+  })
+})
@@ -0,0 +1,112 @@
+import NRMetricsBackend from '../src/plugins/nrmetricsbackend'
+import MemoryEventStore from '../src/plugins/memoryeventstore'
+import Log from '../src/log'
+import { settle, response } from './helpers/fetch'
+import chai from 'chai'
+import sinon from 'sinon'
+
+const expect = chai.expect
+
+describe('NRMetricsBackend', () => {
+  let backend, clock, fetchStub
+
+  const metrics = (call) => JSON.parse(call.args[1].body)[0].metrics
+  const find = (list, name, attributes = {}) => list.find(metric => metric.name === name &&
+    Object.keys(attributes).every(key => metric.attributes[key] === attributes[key]))
+  const view = { contentId: 'c1', playerName: 'html5', contentCdn: 'cdn1', viewId: 'v1' }
+
+  // Mute console
+  before(() => {
+    Log.level = Log.Levels.SILENT
+    fetchStub = global.fetch
+  })
+
+  after(() => {
+    Log.level = Log.Levels.ERROR
+    global.fetch = fetchStub
+  })
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers('setInterval', 'clearInterval', 'setTimeout', 'clearTimeout', 'Date')
+    clock.tick(1000)
+    global.fetch = sinon.stub().returns(response(202))
+    backend = new NRMetricsBackend('key', { interval: 20000, store: new MemoryEventStore() })
+  })
+
+  afterEach(() => {
+    backend.dispose()
+    clock.restore()
+  })
+
+  it('should post to the Metric API', () => {
+    expect(backend.getCollectorUrl()).to.equal('https://metric-api.newrelic.com/metric/v1')
+    expect(backend.getHeaders()['Api-Key']).to.equal('key')
+    let eu = new NRMetricsBackend('key', { region: 'EU', store: new MemoryEventStore() })
+    expect(eu.getCollectorUrl()).to.equal('https://metric-api.eu.newrelic.com/metric/v1')
+    eu.dispose()
+  })
+
+  it('should aggregate events into metrics keyed by dimensions', async () => {
+    backend.send('CONTENT_REQUEST', Object.assign({}, view))
+    backend.send('CONTENT_START', Object.assign({ timeSinceRequested: 800, contentBitrate: 1000 }, view))
+    backend.send('CONTENT_BUFFER_END', Object.assign({ timeSinceBufferBegin: 300, bufferType: 'connection' }, view))
+    backend.send('CONTENT_BUFFER_END', Object.assign({ timeSinceBufferBegin: 100, bufferType: 'connection' }, view))
+    backend.send('CONTENT_RENDITION_CHANGE', Object.assign({ shift: 'up', contentBitrate: 2000 }, view))
+    backend.send('CONTENT_HEARTBEAT', Object.assign({ playtimeSinceLastEvent: 30000 }, view))
+    backend.send('CONTENT_HEARTBEAT', Object.assign({ playtimeSinceLastEvent: 30000 }, view))
+    backend.send('CONTENT_ERROR', Object.assign({}, view, { contentId: 'c2', errorPhase: 'startup', isFatal: true }))
+    clock.tick(20000)
+    await settle()
+
+    expect(fetch.calledOnce).to.be.true
+    let list = metrics(fetch.firstCall)
+    let dims = { contentId: 'c1', playerName: 'html5', contentCdn: 'cdn1' }
+
+    let heartbeats = find(list, 'video.events', { actionName: 'CONTENT_HEARTBEAT' })
+    expect(heartbeats.type).to.equal('count')
+    expect(heartbeats.value).to.equal(2)
+    expect(heartbeats.attributes).to.deep.equal(Object.assign({ actionName: 'CONTENT_HEARTBEAT' }, dims))
+    expect(heartbeats.timestamp).to.equal(1000)
+    expect(heartbeats['interval.ms']).to.equal(20000)
+
+    expect(find(list, 'video.playtime').value).to.equal(60000)
+    expect(find(list, 'video.startup.time').value).to.deep.equal({ count: 1, sum: 800, min: 800, max: 800 })
+    expect(find(list, 'video.buffer.time', { bufferType: 'connection' }).value)
+      .to.deep.equal({ count: 2, sum: 400, min: 100, max: 300 })
+    expect(find(list, 'video.rendition.switches', { shift: 'up' }).value).to.equal(1)
+    expect(find(list, 'video.errors', { contentId: 'c2', errorPhase: 'startup', isFatal: true }).value).to.equal(1)
+
+    let bitrate = find(list, 'video.bitrate')
+    expect(bitrate.type).to.equal('gauge')
+    expect(bitrate.value).to.equal(2000)
+    expect(bitrate['interval.ms']).to.be.undefined
+  })
+
+  it('should start a new interval after each aggregation', async () => {
+    backend.send('CONTENT_HEARTBEAT', Object.assign({}, view))
+    await backend.flush()
+    clock.tick(5000)
+    backend.send('CONTENT_HEARTBEAT', Object.assign({}, view))
+    await backend.flush()
+
+    expect(fetch.callCount).to.equal(2)
+    let second = metrics(fetch.secondCall)[0]
+    expect(second.value).to.equal(1)
+    expect(second.timestamp).to.equal(1000)
+    expect(second['interval.ms']).to.equal(5000)
+  })
+
+  it('should not send anything for empty intervals', async () => {
+    await backend.flush()
+    expect(fetch.called).to.be.false
+  })
+
+  it('should keep metrics to retry failed requests', async () => {
+    fetch.onFirstCall().returns(response(503))
+    backend.send('CONTENT_START', Object.assign({}, view))
+    await backend.flush()
+
+    expect(backend.isBackingOff()).to.be.true
+    expect(backend._eventBuffer.map(metric => metric.name)).to.include('video.events')
+  })
+})
@@ -0,0 +1,176 @@
+import OtlpBackend from '../src/plugins/otlpbackend'
+import MemoryEventStore from '../src/plugins/memoryeventstore'
+import Log from '../src/log'
+import { settle, response } from './helpers/fetch'
+import chai from 'chai'
+import sinon from 'sinon'
+import http from 'http'
+
+const expect = chai.expect
+
+describe('OtlpBackend', () => {
+  let backend, clock, fetchStub
+
+  const attribute = (list, key) => {
+    let item = list.find(kv => kv.key === key)
+    return item && item.value
+  }
+
+  // Mute console
+  before(() => {
+    Log.level = Log.Levels.SILENT
+  })
+
+  after(() => {
+    Log.level = Log.Levels.ERROR
+  })
+
+  beforeEach(() => {
+    fetchStub = global.fetch
+  })
+
+  afterEach(() => {
+    if (backend) backend.dispose()
+    if (clock) clock.restore()
+    clock = null
+    global.fetch = fetchStub
+  })
+
+  describe('logs', () => {
+    beforeEach(() => {
+      clock = sinon.useFakeTimers('setInterval', 'clearInterval', 'setTimeout', 'clearTimeout', 'Date')
+      clock.tick(1000)
+      global.fetch = sinon.stub().returns(response(200))
+      backend = new OtlpBackend('http://collector.test:4318/', { store: new MemoryEventStore() })
+    })
+
+    it('should post to the logs endpoint', () => {
+      expect(backend.getCollectorUrl()).to.equal('http://collector.test:4318/v1/logs')
+      expect(backend.getHeaders()['Content-Type']).to.equal('application/json')
+    })
+
+    it('should convert events into log records grouped by view session', async () => {
+      backend.send('CONTENT_START', { viewSession: 's1', viewId: 's1-0', contentIsLive: false, contentBitrate: 1.5 })
+      backend.send('CONTENT_ERROR', { viewSession: 's1', viewId: 's1-0', errorCode: 404 })
+      backend.send('CONTENT_START', { viewSession: 's2', viewId: 's2-0' })
+      clock.tick(10000)
+      await settle()
+
+      let body = JSON.parse(fetch.firstCall.args[1].body)
+      expect(body.resourceLogs).to.have.lengthOf(2)
+
+      let resource = body.resourceLogs[0].resource.attributes
+      expect(attribute(resource, 'session.id')).to.deep.equal({ stringValue: 's1' })
+      expect(attribute(resource, 'service.name')).to.deep.equal({ stringValue: 'nrvideo' })
+
+      let records = body.resourceLogs[0].scopeLogs[0].logRecords
+      expect(records.map(rec => rec.body.stringValue)).to.deep.equal(['CONTENT_START', 'CONTENT_ERROR'])
+      expect(records[0].timeUnixNano).to.equal('1000000000')
+      expect(records[0].severityText).to.equal('INFO')
+      expect(records[1].severityText).to.equal('ERROR')
+      expect(records[0].traceId).to.match(/^[0-9a-f]{32}$/)
+      expect(records[0].spanId).to.match(/^[0-9a-f]{16}$/)
+      expect(records[0].traceId).to.equal(records[1].traceId)
+      expect(body.resourceLogs[1].scopeLogs[0].logRecords[0].traceId).to.not.equal(records[0].traceId)
+      expect(attribute(records[0].attributes, 'view.id')).to.deep.equal({ stringValue: 's1-0' })
+      expect(attribute(records[0].attributes, 'contentIsLive')).to.deep.equal({ boolValue: false })
+      expect(attribute(records[0].attributes, 'contentBitrate')).to.deep.equal({ doubleValue: 1.5 })
+      expect(attribute(records[1].attributes, 'errorCode')).to.deep.equal({ intValue: '404' })
+      expect(attribute(records[0].attributes, 'viewSession')).to.be.undefined
+    })
+
+    it('should retry failed requests', async () => {
+      fetch.onFirstCall().returns(response(503))
+      backend.send('CONTENT_START', { viewSession: 's1' })
+      clock.tick(10000)
+      await settle()
+
+      expect(backend.isBackingOff()).to.be.true
+      clock.tick(300000)
+      await settle()
+      expect(fetch.callCount).to.equal(2)
+      expect(backend._eventBuffer).to.be.empty
+    })
+  })
+
+  describe('traces', () => {
+    it('should convert events into span events, one span per view', () => {
+      backend = new OtlpBackend('http://collector.test', { signal: 'traces', store: new MemoryEventStore() })
+      expect(backend.getCollectorUrl()).to.equal('http://collector.test/v1/traces')
+
+      let body = JSON.parse(backend.serialize([
+        { actionName: 'CONTENT_REQUEST', timestamp: 1000, viewSession: 's1', viewId: 's1-0' },
+        { actionName: 'CONTENT_START', timestamp: 2000, viewSession: 's1', viewId: 's1-0' },
+        { actionName: 'CONTENT_REQUEST', timestamp: 3000, viewSession: 's1', viewId: 's1-1' }
+      ]))
+
+      let spans = body.resourceSpans[0].scopeSpans[0].spans
+      expect(spans).to.have.lengthOf(2)
+      expect(spans[0].startTimeUnixNano).to.equal('1000000000')
+      expect(spans[0].endTimeUnixNano).to.equal('2000000000')
+      expect(spans[0].events.map(ev => ev.name)).to.deep.equal(['CONTENT_REQUEST', 'CONTENT_START'])
+      expect(attribute(spans[1].attributes, 'view.id')).to.deep.equal({ stringValue: 's1-1' })
+    })
+
+    it('should give each harvest of a view its own span', async () => {
+      clock = sinon.useFakeTimers('setInterval', 'clearInterval', 'setTimeout', 'clearTimeout', 'Date')
+      clock.tick(1000)
+      global.fetch = sinon.stub().returns(response(200))
+      backend = new OtlpBackend('http://collector.test', { signal: 'traces', store: new MemoryEventStore() })
+
+      backend.send('CONTENT_REQUEST', { viewSession: 's1', viewId: 's1-0' })
+      clock.tick(10000)
+      await settle()
+      backend.send('CONTENT_START', { viewSession: 's1', viewId: 's1-0' })
+      clock.tick(10000)
+      await settle()
+
+      expect(fetch.callCount).to.equal(2)
+      let spans = fetch.getCalls().map(call => JSON.parse(call.args[1].body).resourceSpans[0].scopeSpans[0].spans[0])
+      expect(spans[0].events.map(ev => ev.name)).to.deep.equal(['CONTENT_REQUEST'])
+      expect(spans[1].events.map(ev => ev.name)).to.deep.equal(['CONTENT_START'])
+      expect(spans[0].traceId).to.equal(spans[1].traceId)
+      expect(spans[0].spanId).to.match(/^[0-9a-f]{16}$/)
+      expect(spans[0].spanId).to.not.equal(spans[1].spanId)
+      expect(spans[0].parentSpanId).to.match(/^[0-9a-f]{16}$/)
+      expect(spans[0].parentSpanId).to.equal(spans[1].parentSpanId)
+      expect(spans[0].parentSpanId).to.not.equal(spans[0].spanId)
+    })
+  })
+
+  describe('collector', () => {
+    let server, requests
+
+    before((done) => {
+      requests = []
+      server = http.createServer((req, res) => {
+        let body = ''
+        req.on('data', chunk => { body += chunk })
+        req.on('end', () => {
+          requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) })
+          res.writeHead(200, { 'Content-Type': 'application/json' })
+          res.end('{}')
+        })
+      })
+      server.listen(0, '127.0.0.1', done)
+    })
+
+    after((done) => {
+      server.close(done)
+    })
+
+    it('should deliver events to an HTTP collector', async () => {
+      backend = new OtlpBackend('http://127.0.0.1:' + server.address().port, {
+        store: new MemoryEventStore(),
+        headers: { 'Authorization': 'Bearer TOKEN' }
+      })
+      backend.send('CONTENT_START', { viewSession: 's1', viewId: 's1-0' })
+
+      expect(await backend.flush()).to.be.true
+      expect(requests).to.have.lengthOf(1)
+      expect(requests[0].url).to.equal('/v1/logs')
+      expect(requests[0].headers.authorization).to.equal('Bearer TOKEN')
+      expect(requests[0].body.resourceLogs[0].scopeLogs[0].logRecords[0].body.stringValue).to.equal('CONTENT_START')
+    })
+  })
+})
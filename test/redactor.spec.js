@@ -0,0 +1,70 @@
+import Redactor from '../src/redactor'
+import Log from '../src/log'
+import chai from 'chai'
+
+const expect = chai.expect
+
+describe('Redactor', () => {
+  const url = 'https://cdn.test/video.m3u8?token=abc&quality=hd&email=a%40b.com#t=10'
+
+  // Mute console
+  before(() => {
+    Log.level = Log.Levels.SILENT
+  })
+
+  after(() => {
+    Log.level = Log.Levels.ERROR
+  })
+
+  afterEach(() => {
+    Redactor.reset()
+  })
+
+  it('should not change anything by default', () => {
+    expect(Redactor.redact({ contentSrc: url, a: 1 })).to.deep.equal({ contentSrc: url, a: 1 })
+    expect(Redactor.isHashing()).to.be.false
+  })
+
+  it('should strip all query params', () => {
+    Redactor.configure({ stripQueryParams: true })
+    let data = Redactor.redact({ contentSrc: url, pageUrl: 'http://page.test/', other: url })
+    expect(data.contentSrc).to.equal('https://cdn.test/video.m3u8')
+    expect(data.pageUrl).to.equal('http://page.test/')
+    expect(data.other).to.equal(url)
+  })
+
+  it('should strip given query params', () => {
+    Redactor.configure({ stripQueryParams: ['token', 'email'] })
+    expect(Redactor.redact({ adSrc: url }).adSrc).to.equal('https://cdn.test/video.m3u8?quality=hd#t=10')
+  })
+
+  it('should only keep allowed query params', () => {
+    Redactor.configure({ allowQueryParams: ['quality'], urlAttributes: ['myUrl'] })
+    let data = Redactor.redact({ myUrl: url, contentSrc: url })
+    expect(data.myUrl).to.equal('https://cdn.test/video.m3u8?quality=hd#t=10')
+    expect(data.contentSrc).to.equal(url)
+  })
+
+  it('should mask values', () => {
+    Redactor.configure({
+      maskPatterns: [
+        /[\w.+-]+@[\w-]+\.\w+/,
+        { pattern: /\d{4}/, replacement: '####', attributes: ['card'] }
+      ]
+    })
+    let data = Redactor.redact({ title: 'a@b.com and c@d.com', card: '1234 5678', other: '1234', n: 1 })
+    expect(data.title).to.equal('[REDACTED] and [REDACTED]')
+    expect(data.card).to.equal('#### ####')
+    expect(data.other).to.equal('1234')
+    expect(data.n).to.equal(1)
+  })
+
+  it('should hash attributes', async () => {
+    Redactor.configure({ hashAttributes: ['userId', 'missing'] })
+    expect(Redactor.isHashing()).to.be.true
+    let data = await Redactor.hash({ userId: 'abc', other: 'abc' })
+    expect(data.userId).to.equal('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad')
+    expect(data.other).to.equal('abc')
+    expect(data).to.not.have.property('missing')
+  })
+})
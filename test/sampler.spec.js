@@ -0,0 +1,65 @@
+import Sampler from '../src/sampler'
+import Log from '../src/log'
+import chai from 'chai'
+
+const expect = chai.expect
+
+describe('Sampler', () => {
+  const sessions = []
+  for (let i = 0; i < 1000; i++) sessions.push('1700000000000-session' + i)
+
+  // Mute console
+  before(() => {
+    Log.level = Log.Levels.SILENT
+  })
+
+  after(() => {
+    Log.level = Log.Levels.ERROR
+  })
+
+  it('should keep everything by default', () => {
+    let sampler = new Sampler()
+    expect(sampler.sample('EVENT', { viewSession: 'a' })).to.deep.equal({ viewSession: 'a', sampleRate: 1 })
+  })
+
+  it('should be deterministic on viewSession', () => {
+    let sampler = new Sampler({ rate: 0.5 })
+    sessions.forEach((viewSession) => {
+      let first = sampler.sample('A', { viewSession: viewSession })
+      let second = sampler.sample('B', { viewSession: viewSession })
+      expect(!!first).to.equal(!!second)
+    })
+  })
+
+  it('should keep roughly the given share of views', () => {
+    let sampler = new Sampler({ rate: 0.3 })
+    let kept = sessions.filter(viewSession => sampler.sample('A', { viewSession: viewSession }))
+    expect(kept.length).to.be.within(230, 370)
+    expect(sampler.sample('A', { viewSession: kept[0] }).sampleRate).to.equal(0.3)
+  })
+
+  it('should apply rates by event name', () => {
+    let sampler = new Sampler({ rate: 0.5, rates: { CONTENT_HEARTBEAT: 0.1, CONTENT_ERROR: 1 } })
+    expect(sampler.getRate('CONTENT_START')).to.equal(0.5)
+    expect(sampler.getRate('CONTENT_HEARTBEAT')).to.equal(0.1)
+    sessions.forEach((viewSession) => {
+      // Views with heartbeats are a subset of views with other events
+      if (sampler.sample('CONTENT_HEARTBEAT', { viewSession: viewSession })) {
+        expect(sampler.sample('CONTENT_START', { viewSession: viewSession })).to.not.be.null
+      }
+      expect(sampler.sample('CONTENT_ERROR', { viewSession: viewSession })).to.not.be.null
+    })
+  })
+
+  it('should keep events without viewSession', () => {
+    let sampler = new Sampler({ rate: 0 })
+    expect(sampler.sample('ERROR', {}).sampleRate).to.equal(1)
+    expect(sampler.sample('A', { viewSession: 'a' })).to.be.null
+  })
+
+  it('should fix invalid rates', () => {
+    expect(new Sampler({ rate: 2 }).getRate('A')).to.equal(1)
+    expect(new Sampler({ rate: -1 }).getRate('A')).to.equal(0)
+    expect(new Sampler({ rate: 'x' }).getRate('A')).to.equal(1)
+  })
+})
@@ -0,0 +1,28 @@
+import Stats from '../src/stats'
+import chai from 'chai'
+
+const expect = chai.expect
+
+describe('Stats', () => {
+  beforeEach(() => {
+    Stats.reset()
+  })
+
+  it('should increment counters', () => {
+    Stats.increment('a')
+    Stats.increment('a')
+    Stats.increment('b', 5)
+    Stats.increment('c', 0)
+    expect(Stats.get()).to.deep.equal({ a: 2, b: 5 })
+  })
+
+  it('should return a copy of the counters', () => {
+    Stats.increment('a')
+    Stats.get().a = 10
+    expect(Stats.get().a).to.equal(1)
+  })
+
+  it('should not count the events that report the counters', () => {
+    expect(Stats.countEvents(['A', Stats.EVENT_NAME, 'B'])).to.equal(2)
+  })
+})
@@ -76,6 +76,455 @@ describe('VideoTracker', () => {
     })
   })
 
+  describe('summary', () => {
+    let clock, summaries
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers(Date.now(), 'Date')
+      tracker = new VideoTracker()
+      summaries = []
+      tracker.on(VideoTracker.Events.CONTENT_SUMMARY, (e) => summaries.push(e.data))
+    })
+
+    afterEach(() => {
+      tracker.dispose()
+      clock.restore()
+    })
+
+    it('should send view aggregates after CONTENT_END', () => {
+      let bitrate = 1000
+      tracker.getBitrate = () => bitrate
+      tracker.getRenditionBitrate = () => bitrate
+      tracker.getRenditionShift(true)
+      let events = []
+      tracker.on('*', (e) => events.push(e.type))
+
+      tracker.sendRequest()
+      clock.tick(500)
+      tracker.sendStart()
+      tracker.sendBufferStart()
+      clock.tick(200)
+      tracker.sendBufferEnd()
+      clock.tick(1000)
+      bitrate = 3000
+      tracker.sendRenditionChanged()
+      clock.tick(1000)
+      tracker.sendBufferStart()
+      clock.tick(400)
+      tracker.sendBufferEnd()
+      clock.tick(600)
+      tracker.sendPause()
+      clock.tick(300)
+      tracker.sendResume()
+      tracker.sendSeekStart()
+      clock.tick(100)
+      tracker.sendSeekEnd()
+      tracker.sendError()
+      tracker.sendEnd()
+
+      expect(events.slice(-2)).to.deep.equal(['CONTENT_END', 'CONTENT_SUMMARY'])
+      expect(summaries).to.have.lengthOf(1)
+      let summary = summaries[0]
+      expect(summary.viewId.slice(-1)).to.equal('0')
+      expect(summary.startupTime).to.equal(500)
+      expect(summary.totalInitialBufferingTime).to.equal(200)
+      expect(summary.initialBufferingCount).to.equal(1)
+      expect(summary.totalConnectionBufferingTime).to.equal(400)
+      expect(summary.connectionBufferingCount).to.equal(1)
+      expect(summary.totalBufferingTime).to.equal(600)
+      expect(summary.bufferingCount).to.equal(2)
+      expect(summary.rebufferRatio).to.equal(400 / 3000)
+      expect(summary.totalPausedTime).to.equal(300)
+      expect(summary.totalSeekTime).to.equal(100)
+      expect(summary.renditionSwitchCount).to.equal(1)
+      expect(summary.renditionUpSwitchCount).to.equal(1)
+      expect(summary.renditionDownSwitchCount).to.equal(0)
+      expect(summary.averageBitrate).to.equal(Math.round((1000 * 1000 + 3000 * 1600) / 2600))
+      expect(summary.errorCount).to.equal(1)
+    })
+
+    it('should include intervals in progress', () => {
+      tracker.sendRequest()
+      tracker.sendStart()
+      tracker.sendPause()
+      clock.tick(700)
+      tracker.sendEnd()
+      expect(summaries[0].totalPausedTime).to.equal(700)
+    })
+
+    it('should send on dispose once', () => {
+      tracker.sendRequest()
+      tracker.dispose()
+      tracker.sendEnd()
+      expect(summaries).to.have.lengthOf(1)
+      expect(summaries[0].startupTime).to.be.null
+    })
+
+    it('should not send for ads', () => {
+      let adTracker = new VideoTracker(null, { isAd: true })
+      adTracker.on(VideoTracker.Events.CONTENT_SUMMARY, (e) => summaries.push(e.data))
+      adTracker.sendRequest()
+      adTracker.sendStart()
+      adTracker.sendEnd()
+      adTracker.dispose()
+      expect(summaries).to.be.empty
+    })
+  })
+
+  describe('total times', () => {
+    let clock, events
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers(Date.now(), 'Date')
+      tracker = new VideoTracker(null, { adsTracker: new VideoTracker() })
+      events = []
+      tracker.on('*', (e) => events.push(e))
+    })
+
+    afterEach(() => {
+      tracker.dispose()
+      clock.restore()
+    })
+
+    function getEvent (name) {
+      return events.filter(e => e.type === name)[0]
+    }
+
+    it('should be attached to heartbeats and END', () => {
+      tracker.sendRequest()
+      tracker.sendStart()
+      tracker.adsTracker.sendAdBreakStart()
+      tracker.adsTracker.sendRequest()
+      tracker.adsTracker.sendStart()
+      clock.tick(1000)
+      tracker.adsTracker.sendEnd()
+      clock.tick(500)
+      tracker.adsTracker.sendAdBreakEnd()
+      tracker.sendSeekStart()
+      tracker.sendBufferStart()
+      clock.tick(200)
+      tracker.sendHeartbeat()
+
+      let heartbeat = getEvent(VideoTracker.Events.CONTENT_HEARTBEAT)
+      expect(heartbeat.data.totalAdTime).to.equal(1500)
+      expect(heartbeat.data.totalSeekTime).to.equal(200)
+      expect(heartbeat.data.totalBufferingTime).to.equal(200)
+
+      tracker.sendBufferEnd()
+      tracker.sendSeekEnd()
+      tracker.sendEnd()
+      let end = getEvent(VideoTracker.Events.CONTENT_END)
+      expect(end.data.totalAdTime).to.equal(1500)
+      expect(end.data.totalBufferingTime).to.equal(200)
+      expect(getEvent(VideoTracker.Events.CONTENT_SUMMARY).data.totalAdTime).to.equal(1500)
+      expect(getEvent(VideoTracker.Events.CONTENT_START).data.totalAdTime).to.be.undefined
+      expect(tracker.state.totalAdTime).to.equal(0)
+    })
+
+    it('should count background time', () => {
+      let listeners = {}
+      let doc = global.document
+      global.document = {
+        visibilityState: 'visible',
+        addEventListener: (event, cb) => { listeners[event] = cb },
+        removeEventListener: (event, cb) => { if (listeners[event] === cb) delete listeners[event] }
+      }
+
+      try {
+        tracker.sendRequest()
+        tracker.sendStart()
+        document.visibilityState = 'hidden'
+        listeners.visibilitychange()
+        clock.tick(4000)
+        document.visibilityState = 'visible'
+        listeners.visibilitychange()
+        tracker.sendEnd()
+
+        expect(getEvent(VideoTracker.Events.CONTENT_END).data.totalBackgroundTime).to.equal(4000)
+        expect(listeners.visibilitychange).to.be.undefined
+      } finally {
+        global.document = doc
+      }
+    })
+  })
+
+  describe('frames', () => {
+    let clock, events, quality
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers(Date.now(), 'Date')
+      quality = { totalVideoFrames: 100, droppedVideoFrames: 2 }
+      tracker = new VideoTracker({ getVideoPlaybackQuality: () => Object.assign({}, quality) })
+      events = []
+      tracker.on('*', (e) => events.push(e))
+    })
+
+    afterEach(() => {
+      tracker.dispose()
+      clock.restore()
+    })
+
+    function getEvents (name) {
+      return events.filter(e => e.type === name)
+    }
+
+    it('should report dropped frames and fps with heartbeats', () => {
+      expect(tracker.getFps()).to.be.null
+      tracker.sendRequest()
+      tracker.sendStart()
+      clock.tick(10000)
+      quality = { totalVideoFrames: 400, droppedVideoFrames: 17 }
+      tracker.sendHeartbeat()
+      clock.tick(10000)
+      quality = { totalVideoFrames: 650, droppedVideoFrames: 17 }
+      tracker.sendHeartbeat()
+
+      let heartbeats = getEvents(VideoTracker.Events.CONTENT_HEARTBEAT)
+      expect(heartbeats[0].data.droppedFramesSinceLastHeartbeat).to.equal(15)
+      expect(heartbeats[0].data.droppedFrameRatio).to.equal(0.05)
+      expect(heartbeats[0].data.contentFps).to.equal(30)
+      expect(heartbeats[1].data.droppedFramesSinceLastHeartbeat).to.equal(0)
+      expect(heartbeats[1].data.contentFps).to.equal(25)
+
+      tracker.sendEnd()
+      let summary = getEvents(VideoTracker.Events.CONTENT_SUMMARY)[0]
+      expect(summary.data.droppedFrames).to.equal(15)
+      expect(summary.data.droppedFrameRatio).to.equal(15 / 550)
+      expect(summary.data.contentFps).to.equal(25)
+      expect(summary.data.averageFps).to.equal(27.5)
+    })
+
+    it('should estimate fps over playtime', () => {
+      tracker.sendRequest()
+      tracker.sendStart()
+      clock.tick(5000)
+      tracker.sendPause()
+      clock.tick(5000)
+      quality = { totalVideoFrames: 250, droppedVideoFrames: 2 }
+      tracker.sendHeartbeat()
+      expect(tracker.getFps()).to.equal(30)
+
+      clock.tick(10000)
+      tracker.sendHeartbeat()
+      expect(tracker.getFps()).to.be.null
+
+      tracker.sendResume()
+      clock.tick(10000)
+      quality = { totalVideoFrames: 550, droppedVideoFrames: 2 }
+      tracker.sendEnd()
+
+      let heartbeats = getEvents(VideoTracker.Events.CONTENT_HEARTBEAT)
+      expect(heartbeats[0].data.contentFps).to.equal(30)
+      expect(heartbeats[1].data.contentFps).to.be.null
+      expect(getEvents(VideoTracker.Events.CONTENT_SUMMARY)[0].data.averageFps).to.equal(30)
+    })
+
+    it('should handle counters restarting', () => {
+      tracker.sendRequest()
+      quality = { totalVideoFrames: 50, droppedVideoFrames: 1 }
+      tracker.sendHeartbeat()
+      expect(getEvents(VideoTracker.Events.CONTENT_HEARTBEAT)[0].data.droppedFramesSinceLastHeartbeat).to.equal(1)
+    })
+
+    it('should fall back to webkit counters', () => {
+      tracker.setPlayer({ webkitDecodedFrameCount: 90, webkitDroppedFrameCount: 10 })
+      expect(tracker.getPlaybackQuality()).to.deep.equal({ totalVideoFrames: 100, droppedVideoFrames: 10 })
+      tracker.setPlayer({})
+      expect(tracker.getPlaybackQuality()).to.be.null
+      tracker.sendRequest()
+      tracker.sendHeartbeat()
+      expect(getEvents(VideoTracker.Events.CONTENT_HEARTBEAT)[0].data.droppedFrameRatio).to.be.undefined
+    })
+  })
+
+  describe('exit before start', () => {
+    let events
+
+    beforeEach(() => {
+      tracker = new VideoTracker(null, { adsTracker: new VideoTracker() })
+      events = []
+      tracker.on('*', (e) => events.push(e))
+    })
+
+    afterEach(() => {
+      tracker.dispose()
+    })
+
+    function getEvent (name) {
+      return events.filter(e => e.type === name)[0]
+    }
+
+    it('should be sent on dispose', () => {
+      tracker.sendRequest()
+      tracker.sendBufferStart()
+      tracker.adsTracker.sendRequest()
+      tracker.dispose()
+
+      let ev = getEvent(VideoTracker.Events.CONTENT_EXIT_BEFORE_START)
+      expect(ev.data.timeSinceRequested).to.be.a('number')
+      expect(ev.data.isBufferInProgress).to.be.true
+      expect(ev.data.isAdInProgress).to.be.true
+      expect(getEvent(VideoTracker.Events.AD_EXIT_BEFORE_START).data.timeSinceAdRequested).to.be.a('number')
+      expect(events.filter(e => e.type === VideoTracker.Events.CONTENT_SUMMARY)).to.have.lengthOf(1)
+      expect(tracker.state.isRequested).to.be.false
+    })
+
+    it('should not be sent once started', () => {
+      tracker.sendRequest()
+      tracker.sendStart()
+      tracker.dispose()
+      tracker.sendExitBeforeStart()
+      expect(getEvent(VideoTracker.Events.CONTENT_EXIT_BEFORE_START)).to.be.undefined
+    })
+
+    it('should be sent when the source changes', () => {
+      let src = 'a.mp4'
+      tracker.getSrc = () => src
+      tracker.sendRequest()
+      tracker.sendRequest()
+      expect(getEvent(VideoTracker.Events.CONTENT_EXIT_BEFORE_START)).to.be.undefined
+
+      src = 'b.mp4'
+      tracker.sendRequest()
+      let ev = getEvent(VideoTracker.Events.CONTENT_EXIT_BEFORE_START)
+      expect(ev.data.contentSrc).to.equal('b.mp4')
+      expect(ev.data.viewId.slice(-1)).to.equal('0')
+      expect(ev.data.isBufferInProgress).to.be.false
+      expect(events.slice(-1)[0].type).to.equal(VideoTracker.Events.CONTENT_REQUEST)
+      expect(events.slice(-1)[0].data.viewId.slice(-1)).to.equal('1')
+    })
+
+    it('should be sent on pagehide', () => {
+      let listeners = {}
+      let win = global.window
+      global.window = {
+        addEventListener: (event, cb) => { listeners[event] = cb },
+        removeEventListener: (event, cb) => { if (listeners[event] === cb) delete listeners[event] }
+      }
+
+      try {
+        tracker.sendRequest()
+        listeners.pagehide()
+        expect(getEvent(VideoTracker.Events.CONTENT_EXIT_BEFORE_START)).to.exist
+        expect(listeners.pagehide).to.be.undefined
+
+        tracker.sendRequest()
+        tracker.sendStart()
+        expect(listeners.pagehide).to.be.undefined
+      } finally {
+        global.window = win
+      }
+    })
+  })
+
+  describe('errors', () => {
+    let clock, events
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers(Date.now(), 'Date')
+      tracker = new VideoTracker(null, { adsTracker: new VideoTracker() })
+      events = []
+      tracker.on('*', (e) => events.push(e))
+    })
+
+    afterEach(() => {
+      tracker.dispose()
+      clock.restore()
+    })
+
+    function getEvents (name) {
+      return events.filter(e => e.type === name)
+    }
+
+    it('should classify errors by phase', () => {
+      tracker.sendRequest()
+      tracker.sendError({ errorCode: 404, errorDomain: 'network' })
+      tracker.sendStart()
+      tracker.sendError()
+      tracker.adsTracker.sendError()
+
+      let errors = getEvents(VideoTracker.Events.CONTENT_ERROR)
+      expect(errors[0].data.errorPhase).to.equal('startup')
+      expect(errors[0].data.isFatal).to.be.false
+      expect(errors[0].data.errorCode).to.equal(404)
+      expect(errors[0].data.errorDomain).to.equal('network')
+      expect(errors[1].data.errorPhase).to.equal('playback')
+      expect(errors[1].data).to.not.have.property('errorCode')
+      expect(errors[1].data).to.not.have.property('errorDomain')
+      expect(getEvents(VideoTracker.Events.AD_ERROR)[0].data.errorPhase).to.equal('ad')
+    })
+
+    it('should close the view on fatal errors', () => {
+      tracker.sendRequest()
+      tracker.sendStart()
+      tracker.sendError({ isFatal: true })
+
+      expect(tracker.state.isRequested).to.be.false
+      expect(tracker.getViewId().slice(-1)).to.equal('1')
+      expect(getEvents(VideoTracker.Events.CONTENT_SUMMARY)[0].data.errorCount).to.equal(1)
+      expect(getEvents(VideoTracker.Events.CONTENT_END)).to.be.empty
+    })
+
+    it('should send recovery with time to recover', () => {
+      tracker.sendRequest()
+      tracker.sendStart()
+      tracker.sendBufferStart()
+      tracker.sendError()
+      clock.tick(1500)
+      tracker.sendBufferEnd()
+      tracker.sendPause()
+      tracker.sendResume()
+
+      let recovered = getEvents(VideoTracker.Events.CONTENT_ERROR_RECOVERED)
+      expect(recovered).to.have.lengthOf(1)
+      expect(recovered[0].data.timeToRecover).to.equal(1500)
+      expect(events.slice(-4, -2).map(e => e.type)).to.deep.equal(['CONTENT_BUFFER_END', 'CONTENT_ERROR_RECOVERED'])
+    })
+
+    it('should send recovery on heartbeats once the playhead moves past the error', () => {
+      let playhead = 10
+      tracker.getPlayhead = () => playhead
+      tracker.sendRequest()
+      tracker.sendStart()
+      tracker.sendError()
+      clock.tick(2000)
+      tracker.sendHeartbeat()
+      expect(getEvents(VideoTracker.Events.CONTENT_ERROR_RECOVERED)).to.be.empty
+
+      playhead = 12
+      clock.tick(2000)
+      tracker.sendHeartbeat()
+      let recovered = getEvents(VideoTracker.Events.CONTENT_ERROR_RECOVERED)
+      expect(recovered).to.have.lengthOf(1)
+      expect(recovered[0].data.timeToRecover).to.equal(4000)
+      expect(events.slice(-2).map(e => e.type)).to.deep.equal(['CONTENT_ERROR_RECOVERED', 'CONTENT_HEARTBEAT'])
+
+      playhead = 14
+      tracker.sendHeartbeat()
+      expect(getEvents(VideoTracker.Events.CONTENT_ERROR_RECOVERED)).to.have.lengthOf(1)
+    })
+
+    it('should not send recovery for fatal errors on the next view', () => {
+      tracker.sendRequest()
+      tracker.sendError({ isFatal: true })
+      clock.tick(3000)
+      tracker.sendRequest()
+      tracker.sendStart()
+      tracker.sendHeartbeat()
+      expect(getEvents(VideoTracker.Events.CONTENT_ERROR_RECOVERED)).to.be.empty
+    })
+
+    it('should not send recovery for errors of ended views', () => {
+      tracker.sendRequest()
+      tracker.sendStart()
+      tracker.sendError()
+      tracker.sendEnd()
+      tracker.sendRequest()
+      tracker.sendStart()
+      expect(getEvents(VideoTracker.Events.CONTENT_ERROR_RECOVERED)).to.be.empty
+    })
+  })
+
   function generateTests (ads) {
     let type = ads ? 'for ads' : 'for content'
 
@@ -85,6 +534,10 @@ describe('VideoTracker', () => {
         tracker.setIsAd(ads)
       })
 
+      afterEach(() => {
+        tracker.dispose()
+      })
+
       it('should return correct shift', () => {
         tracker = new VideoTracker()
         expect(tracker.getRenditionShift(true)).to.be.null
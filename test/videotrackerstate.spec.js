@@ -1,5 +1,6 @@
 import TrackerState from '../src/videotrackerstate.js'
 import chai from 'chai'
+import sinon from 'sinon'
 
 const expect = chai.expect
 
@@ -140,6 +141,68 @@ describe('VideoTrackerState', () => {
     expect(state.numberOfErrors).to.equal(1)
   })
 
+  it('should not recover errors after the end', () => {
+    state.goRequest()
+    state.goError()
+    expect(state.goErrorRecovered()).to.be.true
+    expect(state.goErrorRecovered()).to.be.false
+
+    state.goError()
+    state.goEnd()
+    expect(state.isErrorUnrecovered).to.be.false
+    expect(state.goErrorRecovered()).to.be.false
+  })
+
+  it('should count unknown buffer types as connection buffers', () => {
+    TrackerState.BUFFER_TYPES.forEach(type => expect(TrackerState.getBufferType(type)).to.equal(type))
+    expect(TrackerState.getBufferType('other')).to.equal('connection')
+    expect(TrackerState.getBufferType(null)).to.equal('connection')
+  })
+
+  it('should accumulate times of the view', () => {
+    let clock = sinon.useFakeTimers(Date.now(), 'Date')
+    try {
+      state.goRequest()
+      state.goStart()
+      state.bufferType = 'connection'
+      state.goBufferStart()
+      clock.tick(100)
+      state.goBufferEnd()
+      state.goPause()
+      clock.tick(200)
+      state.goResume()
+      state.goSeekStart()
+      clock.tick(300)
+      state.goSeekEnd()
+      state.goAdInterruptionStart()
+      clock.tick(400)
+      state.goAdInterruptionEnd()
+      state.goBackground()
+      clock.tick(500)
+      state.goPause()
+      clock.tick(50)
+
+      let att = state.getTotalTimeAttributes()
+      expect(att.totalBufferingTime).to.equal(100)
+      expect(att.totalConnectionBufferingTime).to.equal(100)
+      expect(att.totalInitialBufferingTime).to.equal(0)
+      expect(att.totalPausedTime).to.equal(250)
+      expect(att.totalSeekTime).to.equal(300)
+      expect(att.totalAdTime).to.equal(400)
+      expect(att.totalBackgroundTime).to.equal(550)
+
+      state.goEnd()
+      clock.tick(1000)
+      expect(state.getTotalTimeAttributes()).to.deep.equal(att)
+
+      state.goViewCountUp()
+      expect(state.getTotalTimeAttributes().totalPausedTime).to.equal(0)
+      expect(state.getTotalTimeAttributes().totalBackgroundTime).to.equal(0)
+    } finally {
+      clock.restore()
+    }
+  })
+
   it('should start tineSinceLast timers', () => {
     state.goHeartbeat()
     expect(state.timeSinceLastHeartbeat.getDeltaTime()).to.be.greaterThan(-1)